@@ -0,0 +1,261 @@
+"use strict";
+
+const http = require("http");
+const methods = require("./methods");
+
+const maxBodyBytes = 1048576;
+
+/**
+ * Create an error answered with an HTTP status by the control API
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a status property
+ */
+function createError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isSerialNumber(serialNumber) {
+  return typeof serialNumber === "string" && /^[\w.-]+$/.test(serialNumber);
+}
+
+// Events given as "1 BOOT,2 PERIODIC", or an array of codes or
+// { code, commandKey } objects
+function parseEvents(events) {
+  if (events == null) return null;
+  if (typeof events === "string") events = events.split(",");
+  if (!Array.isArray(events)) throw createError(400, "events must be a string or an array");
+  return events.map(e => {
+    if (typeof e === "string" && e) return { code: e, commandKey: "" };
+    if (e && typeof e.code === "string" && e.code)
+      return { code: e.code, commandKey: String(e.commandKey || "") };
+    throw createError(400, `Invalid event ${JSON.stringify(e)}`);
+  });
+}
+
+function getParameters(model, names) {
+  let parameters = [];
+  for (let name of names) {
+    const paths = methods.expandParameterPath(model, name);
+    if (!paths) throw createError(404, `Unknown parameter ${name}`);
+    for (let p of paths) {
+      parameters.push({ name: p, writable: model[p][0], value: model[p][1], type: model[p][2] });
+    }
+  }
+  return parameters;
+}
+
+/**
+ * Run a control command on a device simulated by this process
+ * @param {Device} device - Simulated device
+ * @param {string} command - "status", "getParameters", "setParameters",
+ * "startSession" or "stopSession"
+ * @param {object} args - Arguments of the command
+ * @returns {object} Result of the command, sent back as JSON
+ */
+function runCommand(device, command, args) {
+  const model = device.device;
+  switch (command) {
+    case "status":
+      return device.getStatus();
+
+    case "getParameters":
+      return getParameters(model, args.names && args.names.length ? args.names : [""]);
+
+    case "setParameters": {
+      const parameters = args.parameters;
+      if (!parameters || typeof parameters !== "object" || Array.isArray(parameters))
+        throw createError(400, "Expected an object of parameter names and values");
+      // Check them all first so a bad name changes nothing
+      for (let name of Object.keys(parameters)) {
+        if (name[0] === "_" || name.endsWith(".") || !model[name])
+          throw createError(404, `Unknown parameter ${name}`);
+        if (parameters[name] === null || typeof parameters[name] === "object")
+          throw createError(400, `Invalid value for ${name}`);
+      }
+      for (let name of Object.keys(parameters))
+        device.updateParameter(name, String(parameters[name]));
+      return getParameters(model, Object.keys(parameters));
+    }
+
+    case "startSession": {
+      const events = parseEvents(args.events);
+      device.requestSession(events);
+      return device.getStatus();
+    }
+
+    case "stopSession":
+      return { offlineMs: Number(device.stopSession()) };
+
+    default:
+      throw createError(400, `Unknown command ${command}`);
+  }
+}
+
+/**
+ * Handle a control API message forwarded by the primary process to a worker
+ * @param {Map} devices - Devices of the worker by serial number
+ * @param {object} message - { command, serialNumber, macAddress, args }, the
+ * command being "list", "add", "remove" or one of runCommand()
+ * @param {function} startDevice - Called with the serial number and MAC
+ * address of a device to add
+ * @returns {object} { result } or { error: { status, message } }
+ */
+function handleWorkerMessage(devices, message, startDevice) {
+  try {
+    if (message.command === "list")
+      return { result: Array.from(devices.values()).map(d => d.getStatus()) };
+
+    const serialNumber = message.serialNumber;
+    const device = devices.get(serialNumber);
+    if (message.command === "add") {
+      if (device) throw createError(409, `Device ${serialNumber} already exists`);
+      startDevice(serialNumber, message.macAddress);
+      return { result: null };
+    }
+
+    if (!device) throw createError(503, `Device ${serialNumber} is not started yet`);
+    if (message.command === "remove") {
+      device.stop();
+      devices.delete(serialNumber);
+      return { result: null };
+    }
+    return { result: runCommand(device, message.command, message.args || {}) };
+  } catch (err) {
+    return { error: { status: err.status || 500, message: err.message } };
+  }
+}
+
+function readJson(req, callback) {
+  let chunks = [];
+  let bytes = 0;
+  req.on("data", chunk => {
+    bytes += chunk.length;
+    if (bytes > maxBodyBytes) return req.destroy();
+    chunks.push(chunk);
+  });
+  req.on("end", () => {
+    const data = Buffer.concat(chunks).toString();
+    if (!data) return callback(null, {});
+    let body;
+    try {
+      body = JSON.parse(data);
+    } catch (err) {
+      return callback(createError(400, `Invalid JSON: ${err.message}`));
+    }
+    // Handlers read properties of the body
+    if (!body || typeof body !== "object" || Array.isArray(body))
+      return callback(createError(400, "Expected a JSON object"));
+    return callback(null, body);
+  });
+}
+
+function sendJson(res, status, body) {
+  if (body === undefined) {
+    res.writeHead(status);
+    return res.end();
+  }
+  const data = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(data)
+  });
+  return res.end(data);
+}
+
+// Routes by path pattern and method. Handlers get the fleet, the serial number
+// in the path, the parsed URL and the JSON body, and call back with the status
+// and body of the response.
+const routes = {
+  "/devices": {
+    GET: (fleet, serialNumber, url, body, callback) => {
+      fleet.list((err, devices) => callback(err, 200, devices));
+    },
+    POST: (fleet, serialNumber, url, body, callback) => {
+      if (body.serialNumber != null && !isSerialNumber(body.serialNumber))
+        return callback(createError(400, "Invalid serial number"));
+      if (body.macAddress != null && typeof body.macAddress !== "string")
+        return callback(createError(400, "Invalid MAC address"));
+      fleet.add(body.serialNumber, body.macAddress, (err, device) => callback(err, 201, device));
+    }
+  },
+  "/devices/:serial": {
+    GET: (fleet, serialNumber, url, body, callback) => {
+      fleet.send(serialNumber, "status", {}, (err, status) => callback(err, 200, status));
+    },
+    DELETE: (fleet, serialNumber, url, body, callback) => {
+      fleet.remove(serialNumber, err => callback(err, 204));
+    }
+  },
+  "/devices/:serial/parameters": {
+    GET: (fleet, serialNumber, url, body, callback) => {
+      const args = { names: url.searchParams.getAll("name") };
+      fleet.send(serialNumber, "getParameters", args, (err, parameters) => callback(err, 200, parameters));
+    },
+    PUT: (fleet, serialNumber, url, body, callback) => {
+      fleet.send(serialNumber, "setParameters", { parameters: body }, (err, parameters) => callback(err, 200, parameters));
+    }
+  },
+  "/devices/:serial/sessions": {
+    POST: (fleet, serialNumber, url, body, callback) => {
+      fleet.send(serialNumber, "startSession", { events: body.events }, (err, status) => callback(err, 202, status));
+    }
+  },
+  "/devices/:serial/offline": {
+    POST: (fleet, serialNumber, url, body, callback) => {
+      fleet.send(serialNumber, "stopSession", {}, (err, result) => callback(err, 200, result));
+    }
+  }
+};
+
+/**
+ * Create the HTTP server of the control API
+ * @param {object} fleet - Devices of all the workers: list(callback),
+ * add(serialNumber, macAddress, callback), remove(serialNumber, callback) and
+ * send(serialNumber, command, args, callback), calling back with an error
+ * having a status property or the result
+ * @returns {http.Server} Server, not listening yet
+ */
+function createServer(fleet) {
+  return http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, "http://localhost");
+    } catch (err) {
+      return sendJson(res, 400, { error: "Invalid URL" });
+    }
+    const segments = url.pathname.split("/").filter(s => s);
+    let serialNumber = null;
+    if (segments[0] === "devices" && segments.length > 1) {
+      serialNumber = segments[1];
+      segments[1] = ":serial";
+    }
+
+    const route = routes[`/${segments.join("/")}`];
+    if (!route) return sendJson(res, 404, { error: "Not found" });
+    const handler = route[req.method];
+    if (!handler) {
+      res.setHeader("Allow", Object.keys(route).join(", "));
+      return sendJson(res, 405, { error: "Method not allowed" });
+    }
+
+    readJson(req, (err, body) => {
+      if (err) return sendJson(res, err.status, { error: err.message });
+      handler(fleet, serialNumber, url, body, (err, status, result) => {
+        if (err) return sendJson(res, err.status || 500, { error: err.message });
+        console.log(`Control API ${req.method} ${url.pathname} ${status}`);
+        return sendJson(res, status, result);
+      });
+    });
+  });
+}
+
+module.exports = {
+  createError,
+  isSerialNumber,
+  runCommand,
+  handleWorkerMessage,
+  createServer
+};
@@ -91,5 +91,16 @@ function reduce(rows, headerFirstRow = true) {
   }
 }
 
+function stringifyCsv(rows) {
+  return rows.map(row => {
+    return row.map(field => {
+      field = field == null ? "" : String(field);
+      if (/[",\r\n]/.test(field)) return `"${field.replace(/"/g, '""')}"`;
+      return field;
+    }).join(",");
+  }).join("\r\n") + "\r\n";
+}
+
 exports.parseCsv = parseCsv;
+exports.stringifyCsv = stringifyCsv;
 exports.reduce = reduce;
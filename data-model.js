@@ -0,0 +1,302 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const csvParser = require("./csv-parser");
+
+// Layers of the data models created from a template: the object holding the
+// device's own parameters and runtime properties, the template parameters
+// deleted from the device and the device's path tree, null while it is the
+// template's one
+const layers = new WeakMap();
+
+// Path trees of the templates. A node maps the path segments below it ("1."
+// for objects, "Name" for parameters) to their nodes, null for parameters.
+// Nodes are owned by the template (owner null) or by a single device layer.
+const templateTrees = new WeakMap();
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// Runtime properties (device._xxx) are never part of the template
+function isParameter(key) {
+  return typeof key === "string" && key[0] !== "_";
+}
+
+// "A.1.B" -> ["A.", "1.", "B"], "" -> []
+function splitPath(path) {
+  return path.match(/[^.]*\.|[^.]+$/g) || [];
+}
+
+function isVisible(layer, key) {
+  return hasOwn(layer.own, key) || (hasOwn(layer.template, key) && !layer.deleted.has(key));
+}
+
+function getTemplateTree(template) {
+  let tree = templateTrees.get(template);
+  if (!tree) {
+    tree = { owner: null, children: new Map() };
+    for (let key of Object.keys(template)) {
+      let node = tree;
+      for (let segment of splitPath(key)) {
+        if (!segment.endsWith(".")) {
+          node.children.set(segment, null);
+          break;
+        }
+        if (!node.children.get(segment))
+          node.children.set(segment, { owner: null, children: new Map() });
+        node = node.children.get(segment);
+      }
+    }
+    templateTrees.set(template, tree);
+  }
+  return tree;
+}
+
+function getTree(layer) {
+  return layer.tree || getTemplateTree(layer.template);
+}
+
+// Copy a node still shared with the template before the device modifies it
+function ownNode(layer, node) {
+  if (node.owner === layer) return node;
+  return { owner: layer, children: new Map(node.children) };
+}
+
+function addToTree(layer, key) {
+  let node = layer.tree = ownNode(layer, getTree(layer));
+  for (let segment of splitPath(key)) {
+    if (!segment.endsWith(".")) {
+      node.children.set(segment, null);
+      break;
+    }
+    const child = node.children.get(segment);
+    node.children.set(segment, child ? ownNode(layer, child) : { owner: layer, children: new Map() });
+    node = node.children.get(segment);
+  }
+}
+
+// Remove a deleted parameter or object from the tree, unless parameters
+// remain below it, and the ancestors left empty that are not objects of the
+// data model themselves
+function removeFromTree(layer, key) {
+  const segments = splitPath(key);
+  let nodes = [layer.tree = ownNode(layer, getTree(layer))];
+  for (let segment of segments.slice(0, -1)) {
+    const child = nodes[nodes.length - 1].children.get(segment);
+    if (!child) return;
+    nodes[nodes.length - 1].children.set(segment, ownNode(layer, child));
+    nodes.push(nodes[nodes.length - 1].children.get(segment));
+  }
+
+  for (let i = segments.length - 1; i >= 0; --i) {
+    const child = nodes[i].children.get(segments[i]);
+    if (child && child.children.size) return;
+    if (i < segments.length - 1 && isVisible(layer, segments.slice(0, i + 1).join(""))) return;
+    nodes[i].children.delete(segments[i]);
+  }
+}
+
+function listNode(layer, node, path, nextLevel, names) {
+  for (let segment of Array.from(node.children.keys()).sort()) {
+    const name = path + segment;
+    const child = node.children.get(segment);
+    if (isVisible(layer, name)) names.push(name);
+    if (child && !nextLevel) listNode(layer, child, name, false, names);
+  }
+  return names;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === "object" && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    for (let v of Object.values(value)) deepFreeze(v);
+  }
+  return value;
+}
+
+/**
+ * Freeze a data model to use it as a template shared between devices
+ * @param {object} template - Data model, frozen in place
+ * @returns {object} The template
+ */
+function freeze(template) {
+  return deepFreeze(template);
+}
+
+/**
+ * Load a data model template from a CSV or JSON file
+ * @param {string} filename - Template file
+ * @returns {object} Frozen template
+ */
+function load(filename) {
+  const data = fs.readFileSync(filename);
+  if (path.parse(filename).ext.toLowerCase() !== ".csv")
+    return freeze(JSON.parse(data));
+
+  const rows = csvParser.reduce(csvParser.parseCsv(data.toString()));
+  let template = {};
+  for (const row of rows) {
+    const isObject = row["Object"] === "true";
+    let id = row["Parameter"];
+    if (isObject) id += ".";
+
+    template[id] = [row["Writable"] === "true"];
+    if (!isObject) {
+      template[id].push(row["Value"] || "");
+      if (row["Value type"] != null) template[id].push(row["Value type"]);
+      if (row["Reboot required"] === "true") template[id][3] = { rebootRequired: true };
+    }
+  }
+  return freeze(template);
+}
+
+/**
+ * Create a device data model layered on top of a template. The device only
+ * stores the parameters it added or modified and the names of those it
+ * deleted, everything else is read from the template. Parameters read from the
+ * template are frozen, use edit() to modify them.
+ * @param {object} template - Frozen template
+ * @param {object} changes - Changes to start with, as returned by
+ * getChanges(), e.g. from a saved state
+ * @returns {object} Data model
+ */
+function create(template, changes) {
+  const layer = { template: template, own: {}, deleted: new Set(), tree: null };
+
+  const device = new Proxy(layer.own, {
+    get: function (own, key) {
+      if (hasOwn(own, key) || !isParameter(key)) return Reflect.get(own, key);
+      if (layer.deleted.has(key) || !hasOwn(template, key)) return undefined;
+      return template[key];
+    },
+
+    set: function (own, key, value) {
+      const added = isParameter(key) && !isVisible(layer, key);
+      layer.deleted.delete(key);
+      own[key] = value;
+      if (added) addToTree(layer, key);
+      return true;
+    },
+
+    has: function (own, key) {
+      if (Reflect.has(own, key)) return true;
+      return isParameter(key) && hasOwn(template, key) && !layer.deleted.has(key);
+    },
+
+    deleteProperty: function (own, key) {
+      const deleted = isParameter(key) && isVisible(layer, key);
+      if (isParameter(key) && hasOwn(template, key)) layer.deleted.add(key);
+      delete own[key];
+      if (deleted) removeFromTree(layer, key);
+      return true;
+    },
+
+    // Template order first, then the parameters added to the device
+    ownKeys: function (own) {
+      let keys = Object.keys(template);
+      if (layer.deleted.size) keys = keys.filter(k => !layer.deleted.has(k));
+      for (let key of Reflect.ownKeys(own)) {
+        if (!isParameter(key) || !hasOwn(template, key)) keys.push(key);
+      }
+      return keys;
+    },
+
+    getOwnPropertyDescriptor: function (own, key) {
+      if (hasOwn(own, key) || !isParameter(key) || layer.deleted.has(key) || !hasOwn(template, key))
+        return Reflect.getOwnPropertyDescriptor(own, key);
+      return { value: template[key], writable: true, enumerable: true, configurable: true };
+    }
+  });
+  layers.set(device, layer);
+
+  if (changes) {
+    for (let p of changes.deleted) delete device[p];
+    for (let p of Object.keys(changes.parameters)) device[p] = changes.parameters[p];
+  }
+
+  return device;
+}
+
+/**
+ * Get a parameter to modify it, copying it from the template first if the
+ * device still shares it
+ * @param {object} device - Data model
+ * @param {string} name - Parameter name
+ * @returns {Array} Parameter owned by the device, undefined if it does not
+ * exist
+ */
+function edit(device, name) {
+  const param = device[name];
+  if (!param || !Object.isFrozen(param)) return param;
+  const copy = param.slice();
+  device[name] = copy;
+  return copy;
+}
+
+/**
+ * Drop everything the device stored on top of its template, runtime
+ * properties included
+ * @param {object} device - Data model created from a template
+ */
+function reset(device) {
+  const layer = layers.get(device);
+  for (let key of Reflect.ownKeys(layer.own)) delete layer.own[key];
+  layer.deleted.clear();
+  layer.tree = null;
+}
+
+/**
+ * Get what the device stored on top of its template, runtime properties
+ * excluded
+ * @param {object} device - Data model created from a template
+ * @returns {object} parameters, the ones the device added or modified, and
+ * deleted, the names of the template parameters it deleted
+ */
+function getChanges(device) {
+  const layer = layers.get(device);
+  let parameters = {};
+  for (let key of Object.keys(layer.own)) {
+    if (isParameter(key)) parameters[key] = layer.own[key];
+  }
+  return { parameters: parameters, deleted: Array.from(layer.deleted) };
+}
+
+/**
+ * @param {object} device - Data model
+ * @returns {object} Template of the data model, null if not created from one
+ */
+function getTemplate(device) {
+  const layer = layers.get(device);
+  return layer ? layer.template : null;
+}
+
+/**
+ * List the parameters and objects below a path, in the order of their sorted
+ * names. Only the subtree of the path is visited.
+ * @param {object} device - Data model
+ * @param {string} path - Object path ending with ".", "" for the whole data
+ * model
+ * @param {boolean} nextLevel - Only list the direct children of the path
+ * @returns {Array} Names, the path itself excluded
+ */
+function list(device, path, nextLevel) {
+  const layer = layers.get(device);
+  let node = getTree(layer);
+  for (let segment of splitPath(path)) {
+    node = node && node.children.get(segment);
+  }
+  return node ? listNode(layer, node, path, nextLevel, []) : [];
+}
+
+module.exports = {
+  freeze,
+  load,
+  create,
+  edit,
+  reset,
+  getChanges,
+  getTemplate,
+  list
+};
@@ -1,11 +1,14 @@
 "use strict";
 
+const crypto = require("node:crypto");
 const http = require("node:http");
 const https = require("node:https");
 const xmlParser = require("./xml-parser");
 const xmlUtils = require("./xml-utils");
-const sim = require("./simulator");
+const csvParser = require("./csv-parser");
+const dataModel = require("./data-model");
 const digestAuth = require("./service-auth");
+const proxy = require("./proxy");
 
 const INFORM_PARAMS = [
   "Device.DeviceInfo.SpecVersion",
@@ -25,9 +28,28 @@ const INFORM_PARAMS = [
   "Device.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.ExternalIPAddress",
   "InternetGatewayDevice.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.ExternalIPAddress"
 ];
+// Parameters whose active notification is forced on by the data model
+// definitions, the ACS cannot change their notification attribute
+const FORCED_ACTIVE_NOTIFICATION = new Set([
+  "Device.DeviceInfo.SoftwareVersion",
+  "InternetGatewayDevice.DeviceInfo.SoftwareVersion",
+  "Device.DeviceInfo.ProvisioningCode",
+  "InternetGatewayDevice.DeviceInfo.ProvisioningCode",
+  "Device.ManagementServer.ConnectionRequestURL",
+  "InternetGatewayDevice.ManagementServer.ConnectionRequestURL",
+  "Device.ManagementServer.ConnReqJabberID"
+]);
 const downloadTimeoutMs = Number.parseInt(process.env.DOWNLOAD_TIMEOUT, 10) || 30000;
+const uploadTimeoutMs = Number.parseInt(process.env.UPLOAD_TIMEOUT, 10) || 30000;
+const uploadMethod = process.env.UPLOAD_METHOD === "POST" ? "POST" : "PUT";
+const logBufferSize = 200;
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const scheduledDownloadRetries = 3;
+const scheduledDownloadRetryMs = Number.parseInt(process.env.SCHEDULED_DOWNLOAD_RETRY, 10) || 10000;
 const transferCompleteDelayMs = 500;
-const sessionFactoryResetDelayMs = 500;
+// Longest delay of a timer, longer ones fire right away
+const maxTimerMs = 2147483647;
+const maxRedirects = 5;
 const validFileTypes = [
   "1 Firmware Upgrade Image",
   "2 Web Content",
@@ -35,6 +57,51 @@ const validFileTypes = [
   "4 Tone File",
   "5 Ringer File"
 ];
+const validWindowModes = [
+  "1 At Any Time",
+  "2 Immediately",
+  "3 When Idle",
+  "4 Confirmation Needed"
+];
+const validUploadFileTypes = [
+  /^1 Vendor Configuration File$/,
+  /^2 Vendor Log File$/,
+  /^3 Vendor Configuration File \d+$/,
+  /^4 Vendor Log File \d+$/
+];
+
+// Transfer URLs are only used once the transfer starts, from a timer, so they
+// are checked when the RPC is received
+function isValidUrl(url) {
+  try {
+    new URL(url);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Events are either a string of comma separated event codes or a list of
+// event codes and { code, commandKey } objects for events with a CommandKey
+function parseEvents(event) {
+  if (!event) return [];
+  if (typeof event === "string") event = event.split(",");
+  return event.map(e => typeof e === "string" ? { code: e, commandKey: "" } : e);
+}
+
+
+// Append events that are not already in the list. Only "M" events can occur
+// more than once, one per CommandKey.
+function mergeEvents(events, newEvents) {
+  const merged = events.slice();
+  for (let ev of newEvents) {
+    const duplicate = merged.some(e => e.code === ev.code &&
+      (!e.code.startsWith("M ") || e.commandKey === ev.commandKey));
+    if (!duplicate) merged.push(ev);
+  }
+  return merged;
+}
+
 
 function inform(device, event, callback) {
   let manufacturer = "";
@@ -125,31 +192,34 @@ function inform(device, event, callback) {
 
   let deviceId = xmlUtils.node("DeviceId", {}, [manufacturer, oui, productClass, serialNumber]);
   let eventStruct = "";
-  let splitEvents = [];
-  if (event !== null) {
-    splitEvents = event.split(",");
-  }
-  else {
-    splitEvents = [event];
-  }
+  let splitEvents = parseEvents(event);
+  if (!splitEvents.length)
+    splitEvents = parseEvents("2 PERIODIC");
+
+  // Parameters with passive or active notification that changed since the
+  // last Inform
+  let changedParameters = (device._changedParameters || []).filter(p => device[p]);
+  device._changedParameters = [];
+  if (changedParameters.length)
+    splitEvents = mergeEvents(splitEvents, parseEvents("4 VALUE CHANGE"));
 
   splitEvents.forEach(ev => {
     eventStruct += xmlUtils.node(
       "EventStruct",
       {},
       [
-        xmlUtils.node("EventCode", {}, ev || "2 PERIODIC"),
-        xmlUtils.node("CommandKey")
+        xmlUtils.node("EventCode", {}, ev.code),
+        xmlUtils.node("CommandKey", {}, xmlParser.encodeEntities(ev.commandKey))
       ]
     );
   });
 
   let evnt = xmlUtils.node("Event", {
-    "soap-enc:arrayType": "cwmp:EventStruct[1]"
+    "soap-enc:arrayType": `cwmp:EventStruct[${splitEvents.length}]`
   }, eventStruct);
 
   let params = [];
-  for (let p of INFORM_PARAMS) {
+  for (let p of INFORM_PARAMS.concat(changedParameters.filter(p => !INFORM_PARAMS.includes(p)))) {
     let param = device[p];
     if (!param)
       continue;
@@ -161,7 +231,7 @@ function inform(device, event, callback) {
   }
 
   let parameterList = xmlUtils.node("ParameterList", {
-    "soap-enc:arrayType": `cwmp:ParameterValueStruct[${INFORM_PARAMS.length}]`
+    "soap-enc:arrayType": `cwmp:ParameterValueStruct[${params.length}]`
   }, params);
 
   let informChildren = [
@@ -169,7 +239,7 @@ function inform(device, event, callback) {
     evnt,
     xmlUtils.node("MaxEnvelopes", {}, "1"),
     xmlUtils.node("CurrentTime", {}, new Date().toISOString()),
-    xmlUtils.node("RetryCount", {}, "0"),
+    xmlUtils.node("RetryCount", {}, String(device._retryCount || 0)),
     parameterList
   ];
 
@@ -209,25 +279,213 @@ function inform(device, event, callback) {
   return callback(inform);
 }
 
-const pendingTransfers = [];
+// Transfer states as reported by GetQueuedTransfers and GetAllQueuedTransfers
+const TRANSFER_QUEUED = 1;
+const TRANSFER_IN_PROGRESS = 2;
+const TRANSFER_COMPLETED = 3;
+
+// Each device keeps the transfers requested by the ACS in device._transfers,
+// completed ones stay queued until they are reported in a TransferComplete,
+// and the ChangeDUState results waiting to be reported in a
+// DUStateChangeComplete in device._duStateChanges. Deployment unit downloads
+// in progress are kept in device._duDownloads to abort them.
+function initTransfers(device) {
+  device._transfers = [];
+  device._duStateChanges = [];
+  device._duDownloads = new Set();
+}
 
-function getPendingTransfers() {
-  return pendingTransfers.shift();
+function getPendingTransfers(device) {
+  const transfers = device._transfers;
+  const i = transfers.findIndex(t => t.state === TRANSFER_COMPLETED);
+  if (i === -1) return undefined;
+  return transfers.splice(i, 1)[0];
 }
 
+// Put back a transfer whose TransferComplete was not acknowledged
+function restorePendingTransfer(device, transfer) {
+  if (!device._transfers.includes(transfer)) device._transfers.unshift(transfer);
+}
 
-function getSortedPaths(device) {
-  if (device._sortedPaths) return device._sortedPaths;
-  const ignore = new Set(["DeviceID", "Downloads", "Tags", "Events", "Reboot", "FactoryReset", "VirtualParameters"]);
-  device._sortedPaths = Object.keys(device).filter(p => p[0] !== "_" && !ignore.has(p.split(".")[0])).sort();
-  return device._sortedPaths;
+// Run a step of a transfer later, delays beyond the longest timer being
+// waited in steps. transfer.timer is always the pending timer.
+function setTransferTimer(transfer, callback, ms) {
+  transfer.timer = setTimeout(() => {
+    if (ms > maxTimerMs) setTransferTimer(transfer, callback, ms - maxTimerMs);
+    else callback();
+  }, Math.min(ms, maxTimerMs));
 }
 
+function queueTransfer(device, isDownload, info) {
+  const transfer = {
+    commandKey: info.commandKey || "",
+    isDownload: isDownload,
+    fileType: info.fileType,
+    fileSize: info.fileSize || 0,
+    targetFileName: info.targetFileName || "",
+    state: TRANSFER_QUEUED,
+    startTime: null,
+    completeTime: null,
+    faultCode: null,
+    faultString: null,
+    request: null,
+    timer: null
+  };
+  device._transfers.push(transfer);
+  return transfer;
+}
+
+// Serializable copy of the transfers and ChangeDUState results still to be
+// reported, including those sent in the given session but not acknowledged
+function exportTransferState(device, session) {
+  let pendingTransfers = device._transfers.slice();
+  let pendingDuStateChanges = device._duStateChanges.slice();
+  if (session && session.transfer && !pendingTransfers.includes(session.transfer))
+    pendingTransfers.unshift(session.transfer);
+  if (session && session.duStateChange)
+    pendingDuStateChanges.unshift(session.duStateChange);
+
+  return {
+    transfers: pendingTransfers.map(t => ({
+      commandKey: t.commandKey,
+      isDownload: t.isDownload,
+      fileType: t.fileType,
+      fileSize: t.fileSize,
+      targetFileName: t.targetFileName,
+      state: t.state,
+      startTime: t.startTime,
+      completeTime: t.completeTime,
+      faultCode: t.faultCode,
+      faultString: t.faultString
+    })),
+    duStateChanges: pendingDuStateChanges
+  };
+}
+
+// Restore saved transfers, those that did not complete before the restart are
+// reported as failed like on a reboot
+function importTransferState(device, state) {
+  for (let t of state.transfers || []) {
+    const transfer = Object.assign({}, t, {
+      startTime: t.startTime ? new Date(t.startTime) : null,
+      completeTime: t.completeTime ? new Date(t.completeTime) : null,
+      request: null,
+      timer: null
+    });
+    device._transfers.push(transfer);
+    if (transfer.state !== TRANSFER_COMPLETED) {
+      queueTransferComplete(
+        transfer,
+        transfer.startTime || new Date(),
+        transfer.isDownload ? "9010" : "9011",
+        transfer.isDownload ? "Download failure" : "Upload failure"
+      );
+    }
+  }
+
+  for (let d of state.duStateChanges || []) {
+    device._duStateChanges.push(Object.assign({}, d, {
+      results: d.results.map(r => Object.assign({}, r, {
+        startTime: new Date(r.startTime),
+        completeTime: new Date(r.completeTime)
+      }))
+    }));
+  }
+}
+
+// Abort and forget all transfers and ChangeDUState results, used on factory
+// reset
+function clearTransfers(device) {
+  for (let transfer of device._transfers) {
+    clearTimeout(transfer.timer);
+    if (transfer.request) transfer.request.destroy();
+  }
+  device._transfers.length = 0;
+  device._duStateChanges.length = 0;
+  // Forgotten first so their operations do not complete
+  const duDownloads = Array.from(device._duDownloads);
+  device._duDownloads.clear();
+  for (let dwInfo of duDownloads) {
+    if (dwInfo.request) dwInfo.request.destroy();
+  }
+}
+
+// Cancelled transfers are dropped from the queue and those interrupted by a
+// reboot are already completed, late callbacks for either are ignored
+function isActiveTransfer(device, transfer) {
+  return device._transfers.includes(transfer) && transfer.state !== TRANSFER_COMPLETED;
+}
+
+function firmwareDownloadInProgress(device) {
+  return device._transfers.some(t => t.isDownload && t.fileType === "1 Firmware Upgrade Image" &&
+    t.state === TRANSFER_IN_PROGRESS);
+}
+
+
+// Keep a bounded buffer of device activity, used as the vendor log file
+function appendLog(device, message) {
+  if (!device._logBuffer) device._logBuffer = [];
+  device._logBuffer.push(`${new Date().toISOString()} ${message}`);
+  if (device._logBuffer.length > logBufferSize)
+    device._logBuffer.splice(0, device._logBuffer.length - logBufferSize);
+}
+
+
+// Top level names of GenieACS device dumps that are not CPE parameters
+const IGNORED_ROOTS = new Set(["DeviceID", "Downloads", "Tags", "Events", "Reboot", "FactoryReset", "VirtualParameters"]);
+
+// Sorted names of the parameters and objects below a partial path ("" for the
+// whole data model), from the data model's path tree
+function listPaths(device, path, nextLevel) {
+  return dataModel.list(device, path, nextLevel).filter(p => !IGNORED_ROOTS.has(p.split(".")[0]));
+}
+
+
+// Expand a parameter name or partial path (ending with ".") into the sorted
+// list of leaf parameters it refers to. Returns null for unknown names.
+function expandParameterPath(device, name) {
+  if (name[0] === "_") return null;
+  if (name !== "" && !name.endsWith("."))
+    return device[name] ? [name] : null;
+  if (name !== "" && !device[name]) return null;
+  return listPaths(device, name, false).filter(p => !p.endsWith("."));
+}
+
+
+// Instance numbers of a multi-instance object, in ascending order
+function getInstanceNumbers(device, objectName) {
+  return listPaths(device, objectName, true)
+    .map(p => p.slice(objectName.length, -1))
+    .filter(i => /^\d+$/.test(i))
+    .map(Number)
+    .sort((a, b) => a - b);
+}
 
-function GetParameterNames(device, request, callback) {
-  let parameterNames = getSortedPaths(device);
 
-  let parameterPath, nextLevel;
+// Delete an object and everything below it
+function deleteSubtree(device, objectName) {
+  for (let p of dataModel.list(device, objectName, false).reverse())
+    delete device[p];
+  delete device[objectName];
+}
+
+
+function getParameterAttributes(device, name) {
+  const attrs = device[name][3] || {};
+  return {
+    notification: FORCED_ACTIVE_NOTIFICATION.has(name) ? 2 : attrs.notification || 0,
+    accessList: attrs.accessList || []
+  };
+}
+
+
+function parseBoolean(text) {
+  return text === "true" || text === "1";
+}
+
+
+function GetParameterNames(device, request, callback) {
+  let parameterPath = "", nextLevel;
   for (let c of request.children) {
     switch (c.name) {
       case "ParameterPath":
@@ -239,21 +497,17 @@ function GetParameterNames(device, request, callback) {
     }
   }
 
-  let parameterList = [];
+  if (parameterPath[0] === "_" || (parameterPath !== "" && !device[parameterPath]))
+    return callback(createCwmpFault("9005", `Invalid parameter name: ${parameterPath}`));
 
-  if (nextLevel) {
-    for (let p of parameterNames) {
-      if (p.startsWith(parameterPath) && p.length > parameterPath.length + 1) {
-        let i = p.indexOf(".", parameterPath.length + 1);
-        if (i === -1 || i === p.length - 1)
-          parameterList.push(p);
-      }
-    }
+  let parameterList;
+  if (!parameterPath.endsWith(".") && parameterPath !== "") {
+    if (nextLevel)
+      return callback(createCwmpFault("9003", "Invalid arguments - NextLevel must be false for a parameter name"));
+    parameterList = [parameterPath];
   } else {
-    for (let p of parameterNames) {
-      if (p.startsWith(parameterPath))
-        parameterList.push(p);
-    }
+    parameterList = listPaths(device, parameterPath, nextLevel);
+    if (parameterPath !== "" && !nextLevel) parameterList.unshift(parameterPath);
   }
 
   let params = [];
@@ -283,16 +537,20 @@ function GetParameterNames(device, request, callback) {
 function GetParameterValues(device, request, callback) {
   let parameterNames = request.children[0].children;
 
-  let params = []
+  let parameterList = [];
   for (let p of parameterNames) {
-    let name = p.text;
-    let param = device[name];
-
-    // if (!param) {
-    //   console.log(`Parameter ${name} not found`);
-    //   continue;
-    // }
+    let name = xmlParser.decodeEntities(p.text);
+    let paths = expandParameterPath(device, name);
+    if (!paths) {
+      console.log(`Parameter ${name} not found`);
+      return callback(createCwmpFault("9005", `Invalid parameter name: ${name}`));
+    }
+    parameterList = parameterList.concat(paths);
+  }
 
+  let params = []
+  for (let name of parameterList) {
+    let param = device[name];
     let value = param[1];
     let type = param[2];
     let valueStruct = xmlUtils.node("ParameterValueStruct", {}, [
@@ -307,7 +565,7 @@ function GetParameterValues(device, request, callback) {
     {},
     xmlUtils.node(
       "ParameterList",
-      { "soap-enc:arrayType": "cwmp:ParameterValueStruct[" + parameterNames.length + "]" },
+      { "soap-enc:arrayType": "cwmp:ParameterValueStruct[" + parameterList.length + "]" },
       params
     )
   );
@@ -315,80 +573,237 @@ function GetParameterValues(device, request, callback) {
   return callback(response);
 }
 
+// Returns the CWMP fault code for a value that is not valid for its type
+function validateValue(type, value) {
+  let n;
+  switch (type) {
+    case "xsd:boolean":
+      if (!["true", "false", "1", "0"].includes(value)) return "9007";
+      break;
+    case "xsd:int":
+      n = Number(value);
+      if (!/^[-+]?\d+$/.test(value) || n < -2147483648 || n > 2147483647) return "9007";
+      break;
+    case "xsd:unsignedInt":
+      n = Number(value);
+      if (!/^\+?\d+$/.test(value) || n > 4294967295) return "9007";
+      break;
+    case "xsd:dateTime":
+      if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(value) ||
+        Number.isNaN(Date.parse(value)))
+        return "9007";
+      break;
+  }
+  return null;
+}
+
+
 function SetParameterValues(device, request, callback) {
-  let parameterValues = request.children[0].children;
+  let parameterValues = [];
+  let parameterKey = null;
+  for (let c of request.children) {
+    switch (c.localName) {
+      case "ParameterList":
+        parameterValues = c.children;
+        break;
+      case "ParameterKey":
+        parameterKey = xmlParser.decodeEntities(c.text);
+        break;
+    }
+  }
 
+  // Validate all values first, nothing is applied if any of them is rejected
+  let changes = [];
+  let faults = [];
   for (let p of parameterValues) {
-    let name, value;
+    let name, value, type;
     for (let c of p.children) {
       switch (c.localName) {
         case "Name":
-          name = c.text;
+          name = xmlParser.decodeEntities(c.text);
           break;
         case "Value":
-          value = c;
+          value = xmlParser.decodeEntities(c.text);
+          type = xmlParser.parseAttrs(c.attrs).find(a => a.localName === "type");
+          type = type ? type.value : null;
           break;
       }
     }
 
-    if (!device[name]) {
+    let param = name && name[0] !== "_" && !name.endsWith(".") ? device[name] : null;
+    let faultCode = null;
+    if (!param)
+      faultCode = "9005";
+    else if (!param[0])
+      faultCode = "9008";
+    else if (type && param[2] && type !== param[2])
+      faultCode = "9006";
+    else
+      faultCode = validateValue(param[2] || type, value);
+
+    if (faultCode) {
+      console.log(`Parameter ${name} rejected (${faultCode})`);
+      faults.push({ name: name, faultCode: faultCode });
+      continue;
+    }
+
+    changes.push({ name: name, value: value, type: type });
+  }
+
+  if (faults.length) {
+    const faultStrings = {
+      "9005": "Invalid parameter name",
+      "9006": "Invalid parameter type",
+      "9007": "Invalid parameter value",
+      "9008": "Attempt to set a non-writable parameter"
+    };
+    let details = faults.map(f => xmlUtils.node("SetParameterValuesFault", {}, [
+      xmlUtils.node("ParameterName", {}, xmlParser.encodeEntities(f.name)),
+      xmlUtils.node("FaultCode", {}, f.faultCode),
+      xmlUtils.node("FaultString", {}, faultStrings[f.faultCode])
+    ]));
+    return callback(createCwmpFault("9003", "Invalid arguments", details));
+  }
+
+  let status = "0";
+  for (let change of changes) {
+    let param = dataModel.edit(device, change.name);
+    param[1] = change.value;
+    if (!param[2] && change.type) param[2] = change.type;
+    // Parameters flagged in the data model only take effect after a reboot
+    if (param[3] && param[3].rebootRequired) status = "1";
+  }
+
+  if (parameterKey !== null) {
+    for (let p of ["Device.ManagementServer.ParameterKey", "InternetGatewayDevice.ManagementServer.ParameterKey"]) {
+      if (device[p]) dataModel.edit(device, p)[1] = parameterKey;
+    }
+  }
+
+  let response = xmlUtils.node("cwmp:SetParameterValuesResponse", {}, xmlUtils.node("Status", {}, status));
+  return callback(response);
+}
+
+
+function GetParameterAttributes(device, request, callback) {
+  let parameterNames = request.children[0].children;
+
+  let parameterList = [];
+  for (let p of parameterNames) {
+    let name = xmlParser.decodeEntities(p.text);
+    let paths = expandParameterPath(device, name);
+    if (!paths) {
       console.log(`Parameter ${name} not found`);
+      return callback(createCwmpFault("9005", `Invalid parameter name: ${name}`));
+    }
+    parameterList = parameterList.concat(paths);
+  }
 
-      // <SOAP-ENV:Fault>
-      // <faultcode>Client</faultcode>
-      // <faultstring>CWMP fault</faultstring>
-      // <detail>
-      // <cwmp:Fault>
-      // <FaultCode>9003</FaultCode>
-      // <FaultString>Invalid arguments</FaultString>
-      // <SetParameterValuesFault>
-      // <ParameterName>Device.ManagementServer.PeriodicInformTime</ParameterName>
-      // <FaultCode>9006</FaultCode>
-      // <FaultString>Invalid parameter type</FaultString>
-      // </SetParameterValuesFault>
-      // </cwmp:Fault>
-      // </detail>
-      // </SOAP-ENV:Fault>
-
-      let response = xmlUtils.node("cwmp:Fault", {}, [
-        xmlUtils.node("FaultCode", {}, "Client"),
-        xmlUtils.node("FaultString", {}, xmlParser.encodeEntities("CWMP fault")),
-        xmlUtils.node("detail", {}, [
-          xmlUtils.node("cwmp:Fault", {}, [
-            xmlUtils.node("FaultCode", {}, "9003"),
-            xmlUtils.node("FaultString", {}, xmlParser.encodeEntities("Invalid arguments")),
-            xmlUtils.node("SetParameterValuesFault", {}, [
-              xmlUtils.node("ParameterName", {}, name),
-              xmlUtils.node("FaultCode", {}, "9006"),
-              xmlUtils.node("FaultString", {}, xmlParser.encodeEntities("Invalid parameter type"))
-            ])
-          ])
-        ])
-      ]);
-
-      // let response = xmlUtils.node("cwmp:SetParameterValuesResponse", {}, xmlUtils.node("Status", {}, "0"));
-
-      return callback(response);
+  let params = [];
+  for (let p of parameterList) {
+    let attrs = getParameterAttributes(device, p);
+    params.push(
+      xmlUtils.node("ParameterAttributeStruct", {}, [
+        xmlUtils.node("Name", {}, p),
+        xmlUtils.node("Notification", {}, String(attrs.notification)),
+        xmlUtils.node(
+          "AccessList",
+          { "soap-enc:arrayType": `xsd:string[${attrs.accessList.length}]` },
+          attrs.accessList.map(a => xmlUtils.node("string", {}, xmlParser.encodeEntities(a)))
+        )
+      ])
+    );
+  }
+
+  let response = xmlUtils.node(
+    "cwmp:GetParameterAttributesResponse",
+    {},
+    xmlUtils.node(
+      "ParameterList",
+      { "soap-enc:arrayType": `cwmp:ParameterAttributeStruct[${parameterList.length}]` },
+      params
+    )
+  );
+
+  return callback(response);
+}
+
+
+function SetParameterAttributes(device, request, callback) {
+  let attributeStructs = request.children[0].children;
+
+  // Validate everything first so a rejected request leaves no partial changes
+  let changes = [];
+  for (let s of attributeStructs) {
+    let change = { name: null, notification: null, accessList: null };
+    let notificationChange = false, accessListChange = false;
+    for (let c of s.children) {
+      switch (c.localName) {
+        case "Name":
+          change.name = xmlParser.decodeEntities(c.text);
+          break;
+        case "NotificationChange":
+          notificationChange = parseBoolean(c.text.trim());
+          break;
+        case "Notification":
+          change.notification = Number.parseInt(c.text, 10);
+          break;
+        case "AccessListChange":
+          accessListChange = parseBoolean(c.text.trim());
+          break;
+        case "AccessList":
+          change.accessList = c.children.map(a => xmlParser.decodeEntities(a.text));
+          break;
+      }
+    }
+
+    change.paths = expandParameterPath(device, change.name || "");
+    if (!change.paths) {
+      console.log(`Parameter ${change.name} not found`);
+      return callback(createCwmpFault("9005", `Invalid parameter name: ${change.name}`));
+    }
+
+    if (!notificationChange) {
+      change.notification = null;
+    } else if (![0, 1, 2].includes(change.notification)) {
+      return callback(createCwmpFault("9003", "Invalid arguments - Notification must be 0, 1 or 2"));
+    } else if (change.notification !== 2) {
+      if (change.paths.length === 1 && change.paths[0] === change.name && FORCED_ACTIVE_NOTIFICATION.has(change.name))
+        return callback(createCwmpFault("9009", `Notification request rejected: ${change.name}`));
+      // Partial paths leave forced parameters untouched
+      change.paths = change.paths.filter(p => !FORCED_ACTIVE_NOTIFICATION.has(p));
     }
 
-    device[name][1] = xmlParser.decodeEntities(value.text);
-    device[name][2] = xmlParser.parseAttrs(value.attrs).find(a => a.localName === "type").value;
+    if (!accessListChange) change.accessList = null;
+    else if (!change.accessList) change.accessList = [];
+
+    changes.push(change);
   }
 
-  let response = xmlUtils.node("cwmp:SetParameterValuesResponse", {}, xmlUtils.node("Status", {}, "0"));
+  for (let change of changes) {
+    for (let p of change.paths) {
+      let attrs = getParameterAttributes(device, p);
+      if (change.notification !== null) attrs.notification = change.notification;
+      if (change.accessList !== null) attrs.accessList = change.accessList;
+      dataModel.edit(device, p)[3] = Object.assign({}, device[p][3], attrs);
+    }
+  }
+
+  let response = xmlUtils.node("cwmp:SetParameterAttributesResponse", {}, "");
   return callback(response);
 }
 
 
 function AddObject(device, request, callback) {
   let objectName = request.children[0].text;
-  let instanceNumber = 1;
+  if (!objectName.endsWith(".") || objectName[0] === "_" || !device[objectName])
+    return callback(createCwmpFault("9005", `Invalid parameter name: ${objectName}`));
 
-  while (device[`${objectName}${instanceNumber}.`])
+  let instanceNumber = 1;
+  const instances = new Set(getInstanceNumbers(device, objectName));
+  while (instances.has(instanceNumber))
     instanceNumber += 1;
 
-  device[`${objectName}${instanceNumber}.`] = [true];
-
   const defaultValues = {
     "xsd:boolean": "false",
     "xsd:int": "0",
@@ -396,9 +811,13 @@ function AddObject(device, request, callback) {
     "xsd:dateTime": "0001-01-01T00:00:00Z"
   };
 
-  for (let p of getSortedPaths(device)) {
-    if (p.startsWith(objectName) && p.length > objectName.length) {
-      let n = `${objectName}${instanceNumber}${p.slice(p.indexOf(".", objectName.length))}`;
+  // The new instance gets the parameters and sub-objects of the existing ones
+  const instance = `${objectName}${instanceNumber}.`;
+  device[instance] = [true];
+  for (let i of instances) {
+    const existing = `${objectName}${i}.`;
+    for (let p of dataModel.list(device, existing, false)) {
+      let n = instance + p.slice(existing.length);
       if (!device[n])
         device[n] = [device[p][0], defaultValues[device[p][2]] || "", device[p][2]];
     }
@@ -408,21 +827,18 @@ function AddObject(device, request, callback) {
     xmlUtils.node("InstanceNumber", {}, String(instanceNumber)),
     xmlUtils.node("Status", {}, "0")
   ]);
-  delete device._sortedPaths;
   return callback(response);
 }
 
 
 function DeleteObject(device, request, callback) {
   let objectName = request.children[0].text;
+  if (!objectName.endsWith(".") || objectName[0] === "_" || !device[objectName])
+    return callback(createCwmpFault("9005", `Invalid parameter name: ${objectName}`));
 
-  for (let p in device) {
-    if (p.startsWith(objectName))
-      delete device[p];
-  }
+  deleteSubtree(device, objectName);
 
   let response = xmlUtils.node("cwmp:DeleteObjectResponse", {}, xmlUtils.node("Status", {}, "0"));
-  delete device._sortedPaths;
   return callback(response);
 }
 
@@ -434,7 +850,9 @@ function Download(device, request, callback) {
     url: null,
     fileType: null,
     username: null,
-    password: null
+    password: null,
+    fileSize: 0,
+    targetFileName: null
   };
 
   for (let c of request.children) {
@@ -454,6 +872,12 @@ function Download(device, request, callback) {
       case "Password":
         dwInfo.password = xmlParser.decodeEntities(c.text);
         break;
+      case "FileSize":
+        dwInfo.fileSize = Number.parseInt(c.text, 10) || 0;
+        break;
+      case "TargetFileName":
+        dwInfo.targetFileName = xmlParser.decodeEntities(c.text);
+        break;
     }
   }
 
@@ -468,33 +892,22 @@ function Download(device, request, callback) {
     return callback(createCwmpFault("9003", `Invalid arguments - FileType '${dwInfo.fileType}' not supported`));
   }
 
+  if (!isValidUrl(dwInfo.url)) {
+    console.log(`❌ Download rejected: Invalid URL '${dwInfo.url}'`);
+    return callback(createCwmpFault("9003", `Invalid arguments - Invalid URL '${dwInfo.url}'`));
+  }
 
   const startTime = new Date();
 
   // Block concurrent firmware downloads
-  if (dwInfo.fileType === "1 Firmware Upgrade Image") {
-    if (device._downloadInProgress) {
-      console.log("❌ Download rejected: Firmware download already in progress");
-      return callback(createCwmpFault("9010", "File transfer already in progress"));
-    }
-    device._downloadInProgress = true;
+  if (dwInfo.fileType === "1 Firmware Upgrade Image" && firmwareDownloadInProgress(device)) {
+    console.log("❌ Download rejected: Firmware download already in progress");
+    return callback(createCwmpFault("9010", "File transfer already in progress"));
   }
 
   // Validate and start download
-  if (dwInfo.url.startsWith("http://")) {
-    downloadFile(device, dwInfo.commandKey, startTime, http, dwInfo);
-  } else if (dwInfo.url.startsWith("https://")) {
-    downloadFile(device, dwInfo.commandKey, startTime, https, dwInfo);
-  } else {
-    // Invalid URL scheme detected
-    if (dwInfo.fileType === "1 Firmware Upgrade Image") {
-      device._downloadInProgress = false;
-    }
-    queueTransferComplete(dwInfo.commandKey, startTime, "9016", "Invalid URL scheme");
-    setTimeout(() => {
-      sim.startSession("7 TRANSFER COMPLETE");
-    }, transferCompleteDelayMs);
-  }
+  dwInfo.transfer = queueTransfer(device, true, dwInfo);
+  startDownload(device, dwInfo.commandKey, startTime, dwInfo);
 
   // Send immediate response
   let response = xmlUtils.node("cwmp:DownloadResponse", {}, [
@@ -506,46 +919,271 @@ function Download(device, request, callback) {
   return callback(response);
 }
 
-function createCwmpFault(faultCode, faultString) {
-  return xmlUtils.node("cwmp:Fault", {}, [
-    xmlUtils.node("FaultCode", {}, String(faultCode)),
-    xmlUtils.node("FaultString", {}, xmlParser.encodeEntities(faultString))
+function ScheduleDownload(device, request, callback) {
+  const dwInfo = {
+    attempts: 0,
+    commandKey: null,
+    url: null,
+    fileType: null,
+    username: null,
+    password: null,
+    fileSize: 0,
+    targetFileName: null,
+    eventCode: "M ScheduleDownload"
+  };
+  const timeWindows = [];
+
+  for (let c of request.children) {
+    switch (c.name) {
+      case "CommandKey":
+        dwInfo.commandKey = xmlParser.decodeEntities(c.text);
+        break;
+      case "URL":
+        dwInfo.url = xmlParser.decodeEntities(c.text);
+        break;
+      case "FileType":
+        dwInfo.fileType = xmlParser.decodeEntities(c.text);
+        break;
+      case "Username":
+        dwInfo.username = xmlParser.decodeEntities(c.text);
+        break;
+      case "Password":
+        dwInfo.password = xmlParser.decodeEntities(c.text);
+        break;
+      case "FileSize":
+        dwInfo.fileSize = Number.parseInt(c.text, 10) || 0;
+        break;
+      case "TargetFileName":
+        dwInfo.targetFileName = xmlParser.decodeEntities(c.text);
+        break;
+      case "TimeWindowList":
+        for (let w of c.children) {
+          const timeWindow = { start: 0, end: 0, mode: null, userMessage: "", maxRetries: -1 };
+          for (let f of w.children) {
+            switch (f.name) {
+              case "WindowStart":
+                timeWindow.start = Number.parseInt(f.text, 10);
+                break;
+              case "WindowEnd":
+                timeWindow.end = Number.parseInt(f.text, 10);
+                break;
+              case "WindowMode":
+                timeWindow.mode = xmlParser.decodeEntities(f.text);
+                break;
+              case "UserMessage":
+                timeWindow.userMessage = xmlParser.decodeEntities(f.text);
+                break;
+              case "MaxRetries":
+                timeWindow.maxRetries = Number.parseInt(f.text, 10);
+                break;
+            }
+          }
+          timeWindows.push(timeWindow);
+        }
+        break;
+    }
+  }
+
+  if (!validFileTypes.includes(dwInfo.fileType)) {
+    console.log(`❌ ScheduleDownload rejected: Invalid FileType '${dwInfo.fileType}'`);
+    return callback(createCwmpFault("9003", `Invalid arguments - FileType '${dwInfo.fileType}' not supported`));
+  }
+
+  if (!isValidUrl(dwInfo.url)) {
+    console.log(`❌ ScheduleDownload rejected: Invalid URL '${dwInfo.url}'`);
+    return callback(createCwmpFault("9003", `Invalid arguments - Invalid URL '${dwInfo.url}'`));
+  }
+
+  if (!timeWindows.length || timeWindows.length > 2) {
+    console.log(`❌ ScheduleDownload rejected: ${timeWindows.length} time windows`);
+    return callback(createCwmpFault("9003", "Invalid arguments - One or two time windows are required"));
+  }
+
+  for (let [i, w] of timeWindows.entries()) {
+    const previous = timeWindows[i - 1];
+    if (!(w.start >= 0) || !(w.end > w.start) || !validWindowModes.includes(w.mode) ||
+      Number.isNaN(w.maxRetries) || w.maxRetries < -1 || (previous && w.start < previous.end)) {
+      console.log(`❌ ScheduleDownload rejected: invalid time window ${i + 1}`);
+      return callback(createCwmpFault("9003", `Invalid arguments - Invalid time window ${i + 1}`));
+    }
+  }
+
+  // Window offsets are relative to the time the request was received
+  const now = Date.now();
+  for (let w of timeWindows) {
+    w.start = now + w.start * 1000;
+    w.end = now + w.end * 1000;
+  }
+
+  dwInfo.transfer = queueTransfer(device, true, dwInfo);
+  scheduleDownloadWindow(device, dwInfo, timeWindows, 0);
+
+  let response = xmlUtils.node("cwmp:ScheduleDownloadResponse", {}, "");
+  return callback(response);
+}
+
+// Wait for the given time window and attempt the download in it, falling
+// through to the next window once retries are exhausted
+function scheduleDownloadWindow(device, dwInfo, timeWindows, index) {
+  const timeWindow = timeWindows[index];
+  if (!timeWindow) {
+    console.error(`❌ Scheduled download failed: no time window left`);
+    completeDownload(device, dwInfo.commandKey, new Date(), dwInfo, "9020",
+      "Download failure: unable to complete download within specified time windows");
+    return;
+  }
+
+  // CPE decides the number of retries when MaxRetries is -1
+  const maxRetries = timeWindow.maxRetries === -1 ? scheduledDownloadRetries : timeWindow.maxRetries;
+  let retries = 0;
+
+  function attempt() {
+    if (Date.now() >= timeWindow.end)
+      return scheduleDownloadWindow(device, dwInfo, timeWindows, index + 1);
+
+    const attemptInfo = Object.assign({}, dwInfo, {
+      onFailure: function (faultCode) {
+        if (retries < maxRetries && Date.now() + scheduledDownloadRetryMs < timeWindow.end) {
+          retries += 1;
+          console.log(`🔁 Scheduled download failed (${faultCode}), retry ${retries}/${maxRetries}`);
+          dwInfo.transfer.state = TRANSFER_QUEUED;
+          setTransferTimer(dwInfo.transfer, attempt, scheduledDownloadRetryMs);
+          return true;
+        }
+        if (timeWindows[index + 1]) {
+          console.log(`⏭️ Scheduled download failed (${faultCode}), waiting for next time window`);
+          dwInfo.transfer.state = TRANSFER_QUEUED;
+          scheduleDownloadWindow(device, dwInfo, timeWindows, index + 1);
+          return true;
+        }
+        return false;
+      }
+    });
+
+    const startTime = new Date();
+    if (attemptInfo.fileType === "1 Firmware Upgrade Image" && firmwareDownloadInProgress(device))
+      return completeDownload(device, dwInfo.commandKey, startTime, attemptInfo, "9010", "File transfer already in progress");
+    startDownload(device, dwInfo.commandKey, startTime, attemptInfo);
+  }
+
+  setTransferTimer(dwInfo.transfer, () => {
+    // The simulated device is always idle and the user always confirms
+    if (timeWindow.mode === "4 Confirmation Needed")
+      console.log(`💬 Download confirmed by user: ${timeWindow.userMessage}`);
+    console.log(`🕒 Download time window ${index + 1} open (${timeWindow.mode})`);
+    attempt();
+  }, Math.max(0, timeWindow.start - Date.now()));
+}
+
+function createCwmpFault(faultCode, faultString, details = []) {
+  return xmlUtils.node("soap-env:Fault", {}, [
+    xmlUtils.node("faultcode", {}, "Client"),
+    xmlUtils.node("faultstring", {}, "CWMP fault"),
+    xmlUtils.node(
+      "detail",
+      {},
+      xmlUtils.node("cwmp:Fault", {}, [
+        xmlUtils.node("FaultCode", {}, String(faultCode)),
+        xmlUtils.node("FaultString", {}, xmlParser.encodeEntities(faultString))
+      ].concat(details))
+    )
   ]);
 }
 
-// Helper function to queue transfer result
-function queueTransferComplete(commandKey, startTime, faultCode, faultString) {
+// Helper function to mark a transfer completed, pending TransferComplete
+function queueTransferComplete(transfer, startTime, faultCode, faultString) {
   // Validate faultCode - must not be empty, null, or undefined
   if (!faultCode || faultCode === "") {
     console.warn("⚠️ Invalid/empty faultCode provided, defaulting to '0' (success)");
     faultCode = "0";
   }
 
-  pendingTransfers.push({
-    commandKey: commandKey,
+  clearTimeout(transfer.timer);
+  Object.assign(transfer, {
+    state: TRANSFER_COMPLETED,
     startTime: startTime,
+    completeTime: new Date(),
     faultCode: faultCode,
-    faultString: faultString
+    faultString: faultString,
+    request: null,
+    timer: null
   });
+  return transfer;
+}
+
+// Downloads without a transfer (deployment units) are not queued and report
+// their result through dwInfo.onComplete instead of a TransferComplete
+function startDownload(device, commandKey, startTime, dwInfo) {
+  if (dwInfo.transfer) {
+    dwInfo.transfer.state = TRANSFER_IN_PROGRESS;
+    dwInfo.transfer.startTime = startTime;
+  }
+  dwInfo.redirectUrl = null;
+  dwInfo.redirects = 0;
+
+  if ((dwInfo.url || "").startsWith("http://")) {
+    downloadFile(device, commandKey, startTime, http, dwInfo);
+  } else if ((dwInfo.url || "").startsWith("https://")) {
+    downloadFile(device, commandKey, startTime, https, dwInfo);
+  } else {
+    // Invalid URL scheme detected
+    completeDownload(device, commandKey, startTime, dwInfo, "9016", "Invalid URL scheme");
+  }
+}
+
+// Queue the TransferComplete for a finished download, unless a scheduled
+// download takes the failure to retry later
+function completeDownload(device, commandKey, startTime, dwInfo, faultCode, faultString) {
+  const transfer = dwInfo.transfer;
+  if (!transfer)
+    return dwInfo.onComplete(faultCode, faultString);
+  if (!isActiveTransfer(device, transfer)) return;
+
+  // Clean up request reference
+  transfer.request = null;
+
+  if (faultCode !== "0" && dwInfo.onFailure && dwInfo.onFailure(faultCode, faultString))
+    return;
+
+  queueTransferComplete(transfer, startTime, faultCode, faultString);
+
+  const events = ["7 TRANSFER COMPLETE"];
+  if (dwInfo.eventCode)
+    events.push({ code: dwInfo.eventCode, commandKey: commandKey });
+
+  // Wait for TransferComplete session to complete before rebooting
+  if (faultCode === "0" && dwInfo.fileType === "1 Firmware Upgrade Image") {
+    console.log(`🔄 Firmware upgrade: TransferComplete will be sent, then device will reboot`);
+
+    // Set a flag to trigger reboot after TransferComplete
+    device._pendingReboot = true;
+    device._firmwareUpgrade = { commandKey: commandKey, eventCode: dwInfo.eventCode || "M Download" };
+  }
+
+  device._simulator.setTimer(() => {
+    // Skip if already reported in a session started for another transfer
+    if (device._transfers.includes(transfer))
+      device._simulator.requestSession(events);
+  }, transferCompleteDelayMs);
 }
 
 // Download handler with timeout and auth support
 function downloadFile(device, commandKey, startTime, urlObj, dwInfo) {
   if (dwInfo.attempts > 5) {
     console.error(`❌ Download failed: Too many redirect/auth attempts`);
-    queueTransferComplete(commandKey, startTime, "9010", "Too many attempts");
-    setTimeout(() => {
-      sim.startSession("7 TRANSFER COMPLETE");
-    }, transferCompleteDelayMs);
+    completeDownload(device, commandKey, startTime, dwInfo, "9010", "Too many attempts");
     return;
   }
 
-  console.log(`📥 Download started: ${dwInfo.url} (Attempt ${dwInfo.attempts + 1})`);
+  // Redirects are followed for this attempt only
+  const url = dwInfo.redirectUrl || dwInfo.url;
+  console.log(`📥 Download started: ${url} (Attempt ${dwInfo.attempts + 1})`);
 
-  const urlParsed = new URL(dwInfo.url);
+  const urlParsed = new URL(url);
   const options = {
     headers: {}
   };
+  if (urlParsed.protocol === "https:") Object.assign(options, device._simulator.getTlsOptions());
 
   if (dwInfo.authHeader) {
     console.log(`🔒 Using auth header: ${dwInfo.authHeader}`);
@@ -560,7 +1198,10 @@ function downloadFile(device, commandKey, startTime, urlObj, dwInfo) {
     options.headers["Cookie"] = dwInfo.cookies.join("; ");
   }
 
-  const request = urlObj.get(dwInfo.url, options, (res) => {
+  const proxyUrl = device._simulator.getProxyUrl(url);
+  if (proxyUrl) proxy.proxyRequestOptions(options, url, proxyUrl, device._simulator.getTlsOptions());
+
+  const request = urlObj.get(url, options, (res) => {
     // Handle Auth Challenge
     if (res.statusCode === 401) {
       const authHeaderResp = res.headers["www-authenticate"];
@@ -590,8 +1231,31 @@ function downloadFile(device, commandKey, startTime, urlObj, dwInfo) {
       }
     }
 
-    // Handle Redirects (3xx) if needed? (Not explicitly requested but usually required for robustness)
-    // For now sticking to Auth as requested.
+    // Handle Redirects (3xx), e.g. firmware images served from a CDN
+    if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers["location"]) {
+      res.resume();
+      request.destroy();
+      if (++dwInfo.redirects > maxRedirects) {
+        console.error(`❌ Download failed: Too many redirects`);
+        return completeDownload(device, commandKey, startTime, dwInfo, "9010", "Too many redirects");
+      }
+
+      let location;
+      try {
+        location = new URL(res.headers["location"], url);
+      } catch (err) {
+        return completeDownload(device, commandKey, startTime, dwInfo, "9010", "Invalid redirect location");
+      }
+      if (location.protocol !== "http:" && location.protocol !== "https:")
+        return completeDownload(device, commandKey, startTime, dwInfo, "9016", "Invalid URL scheme");
+
+      console.log(`↪️ Download redirected to ${location.href}`);
+      dwInfo.redirectUrl = location.href;
+      // Credentials and cookies belong to the previous server
+      dwInfo.authHeader = null;
+      dwInfo.cookies = [];
+      return downloadFile(device, commandKey, startTime, location.protocol === "https:" ? https : http, dwInfo);
+    }
 
     if (res.statusCode !== 200) {
       // If not 200 and not handled above
@@ -599,10 +1263,7 @@ function downloadFile(device, commandKey, startTime, urlObj, dwInfo) {
       // Read body for debug?
       res.resume();
       // Wait for end?
-      queueTransferComplete(commandKey, startTime, "9010", `Server returned code ${res.statusCode}`);
-      setTimeout(() => {
-        sim.startSession("7 TRANSFER COMPLETE");
-      }, transferCompleteDelayMs);
+      completeDownload(device, commandKey, startTime, dwInfo, "9010", `Server returned code ${res.statusCode}`);
       return;
     }
 
@@ -613,116 +1274,699 @@ function downloadFile(device, commandKey, startTime, urlObj, dwInfo) {
     });
 
     res.on("end", () => {
-      if (dwInfo.fileType === "1 Firmware Upgrade Image") {
-        device._downloadInProgress = false;
-      }
+      console.log(`✅ Download completed successfully (${downloadedBytes} bytes)`);
+      completeDownload(device, commandKey, startTime, dwInfo, "0", "");
+    });
 
-      // Clean up request reference
-      delete device._activeDownloadRequest;
+  }).on("error", (err) => {
+    console.error(`❌ Network error: ${err.message}`);
+    completeDownload(device, commandKey, startTime, dwInfo, "9010", err.message);
+  });
 
-      console.log(`✅ Download completed successfully (${downloadedBytes} bytes)`);
-      queueTransferComplete(commandKey, startTime, "0", "");
+  // Set timeout (30 seconds)
+  request.setTimeout(downloadTimeoutMs, () => {
+    console.error(`❌ Download timeout after ${downloadTimeoutMs}ms`);
+    // Destroying the request emits an error which reports the failure
+    request.destroy(new Error("Download timeout"));
+  });
 
-      // Wait for TransferComplete session to complete before rebooting
-      if (dwInfo.fileType === "1 Firmware Upgrade Image") {
-        console.log(`🔄 Firmware upgrade: TransferComplete will be sent, then device will reboot`);
+  // Store request so it can be cancelled by Reboot or CancelTransfer
+  if (dwInfo.transfer) dwInfo.transfer.request = request;
+  else dwInfo.request = request;
+}
 
-        // Set a flag to trigger reboot after TransferComplete
-        device._pendingReboot = true;
-        device._firmwareUpgrade = true;
+function Upload(device, request, callback) {
+  const upInfo = {
+    attempts: 0,
+    commandKey: null,
+    url: null,
+    fileType: null,
+    username: null,
+    password: null,
+    delaySeconds: 0,
+    transfer: null
+  };
 
-        // Start TransferComplete session
-        setTimeout(() => {
-          sim.startSession("7 TRANSFER COMPLETE");
-        }, transferCompleteDelayMs);
-      } else {
-        console.log(`📋 Starting TransferComplete session for non-firmware upgrade`);
+  for (let c of request.children) {
+    switch (c.name) {
+      case "CommandKey":
+        upInfo.commandKey = xmlParser.decodeEntities(c.text);
+        break;
+      case "URL":
+        upInfo.url = xmlParser.decodeEntities(c.text);
+        break;
+      case "FileType":
+        upInfo.fileType = xmlParser.decodeEntities(c.text);
+        break;
+      case "Username":
+        upInfo.username = xmlParser.decodeEntities(c.text);
+        break;
+      case "Password":
+        upInfo.password = xmlParser.decodeEntities(c.text);
+        break;
+      case "DelaySeconds":
+        upInfo.delaySeconds = Number.parseInt(c.text, 10) || 0;
+        break;
+    }
+  }
+
+  if (!upInfo.fileType || !validUploadFileTypes.some(r => r.test(upInfo.fileType))) {
+    console.log(`❌ Upload rejected: Invalid FileType '${upInfo.fileType}'`);
+    return callback(createCwmpFault("9003", `Invalid arguments - FileType '${upInfo.fileType}' not supported`));
+  }
 
-        // For non-firmware downloads, just send TransferComplete
-        setTimeout(() => {
-          sim.startSession("7 TRANSFER COMPLETE");
-        }, transferCompleteDelayMs);
+  if (!upInfo.url) {
+    console.log("❌ Upload rejected: URL parameter is required");
+    return callback(createCwmpFault("9003", "Invalid arguments - URL is required"));
+  }
+
+  if (!isValidUrl(upInfo.url)) {
+    console.log(`❌ Upload rejected: Invalid URL '${upInfo.url}'`);
+    return callback(createCwmpFault("9003", `Invalid arguments - Invalid URL '${upInfo.url}'`));
+  }
+
+  upInfo.transfer = queueTransfer(device, false, upInfo);
+  setTransferTimer(upInfo.transfer, () => {
+    const startTime = new Date();
+    upInfo.body = Buffer.from(createUploadFile(device, upInfo.fileType));
+    upInfo.transfer.state = TRANSFER_IN_PROGRESS;
+    upInfo.transfer.startTime = startTime;
+
+    if (upInfo.url.startsWith("http://")) {
+      uploadFile(device, upInfo.commandKey, startTime, http, upInfo);
+    } else if (upInfo.url.startsWith("https://")) {
+      uploadFile(device, upInfo.commandKey, startTime, https, upInfo);
+    } else {
+      completeUpload(device, upInfo, startTime, "9013", "Unsupported protocol for file transfer");
+    }
+  }, upInfo.delaySeconds * 1000);
+
+  let response = xmlUtils.node("cwmp:UploadResponse", {}, [
+    xmlUtils.node("Status", {}, "1"),
+    xmlUtils.node("StartTime", {}, "0001-01-01T00:00:00Z"),
+    xmlUtils.node("CompleteTime", {}, "0001-01-01T00:00:00Z")
+  ]);
+
+  return callback(response);
+}
+
+// Generate the contents of the requested file from the current device state.
+// Configuration files use the same CSV format as the data model templates.
+function createUploadFile(device, fileType) {
+  if (/Vendor Log File/.test(fileType))
+    return (device._logBuffer || []).join("\n") + "\n";
+
+  const rows = [["Parameter", "Object", "Writable", "Value", "Value type"]];
+  for (let p of Object.keys(device).filter(k => k[0] !== "_").sort()) {
+    const param = device[p];
+    if (p.endsWith("."))
+      rows.push([p.slice(0, -1), "true", String(param[0]), "", ""]);
+    else
+      rows.push([p, "false", String(param[0]), param[1], param[2]]);
+  }
+  return csvParser.stringifyCsv(rows);
+}
+
+function completeUpload(device, upInfo, startTime, faultCode, faultString) {
+  const transfer = upInfo.transfer;
+  if (!isActiveTransfer(device, transfer)) return;
+
+  queueTransferComplete(transfer, startTime, faultCode, faultString);
+  device._simulator.setTimer(() => {
+    // Skip if already reported in a session started for another transfer
+    if (device._transfers.includes(transfer))
+      device._simulator.requestSession(["7 TRANSFER COMPLETE", { code: "M Upload", commandKey: transfer.commandKey }]);
+  }, transferCompleteDelayMs);
+}
+
+// Upload handler with timeout and auth support
+function uploadFile(device, commandKey, startTime, urlObj, upInfo) {
+  if (upInfo.attempts > 5) {
+    console.error(`❌ Upload failed: Too many auth attempts`);
+    completeUpload(device, upInfo, startTime, "9011", "Too many attempts");
+    return;
+  }
+
+  console.log(`📤 Upload started: ${upInfo.url} (Attempt ${upInfo.attempts + 1})`);
+
+  const urlParsed = new URL(upInfo.url);
+  const options = {
+    method: uploadMethod,
+    headers: {
+      "Content-Type": "application/octet-stream",
+      "Content-Length": upInfo.body.length
+    }
+  };
+  if (urlParsed.protocol === "https:") Object.assign(options, device._simulator.getTlsOptions());
+
+  if (upInfo.authHeader)
+    options.headers["Authorization"] = upInfo.authHeader;
+
+  if (upInfo.cookies && upInfo.cookies.length > 0)
+    options.headers["Cookie"] = upInfo.cookies.join("; ");
+
+  const proxyUrl = device._simulator.getProxyUrl(upInfo.url);
+  if (proxyUrl) proxy.proxyRequestOptions(options, upInfo.url, proxyUrl, device._simulator.getTlsOptions());
+
+  const request = urlObj.request(upInfo.url, options, (res) => {
+    res.resume();
+
+    if (res.statusCode === 401) {
+      const authHeaderResp = res.headers["www-authenticate"];
+      upInfo.cookies = res.headers["set-cookie"] || [];
+
+      // Credentials already presented and rejected
+      if (upInfo.authHeader || !authHeaderResp || !upInfo.username) {
+        console.error(`❌ Upload failed: authentication rejected`);
+        completeUpload(device, upInfo, startTime, "9012", "File transfer server authentication failure");
+        return;
       }
-    });
 
-  }).on("error", (err) => {
-    if (dwInfo.fileType === "1 Firmware Upgrade Image") {
-      device._downloadInProgress = false;
+      console.log(`🔒 Received 401 Challenge: ${authHeaderResp}`);
+      if (authHeaderResp.match(/^Digest\s+/i)) {
+        const digestParams = digestAuth.parseDigestHeader(authHeaderResp);
+        upInfo.authHeader = digestAuth.generateDigestAuth(upInfo.username, upInfo.password, uploadMethod, urlParsed.pathname + urlParsed.search, digestParams, 1);
+      } else {
+        upInfo.authHeader = "Basic " + Buffer.from(`${upInfo.username}:${upInfo.password}`).toString("base64");
+      }
+      upInfo.attempts++;
+      return uploadFile(device, commandKey, startTime, urlObj, upInfo);
     }
-    delete device._activeDownloadRequest;
 
+    if (Math.floor(res.statusCode / 100) !== 2) {
+      console.error(`❌ Upload failed with status: ${res.statusCode}`);
+      completeUpload(device, upInfo, startTime, "9011", `Server returned code ${res.statusCode}`);
+      return;
+    }
+
+    console.log(`✅ Upload completed successfully (${upInfo.body.length} bytes)`);
+    appendLog(device, `Upload completed: ${upInfo.fileType}`);
+    completeUpload(device, upInfo, startTime, "0", "");
+  }).on("error", (err) => {
     console.error(`❌ Network error: ${err.message}`);
-    queueTransferComplete(commandKey, startTime, "9010", err.message);
+    completeUpload(device, upInfo, startTime, "9011", err.message);
+  });
 
-    setTimeout(() => {
-      sim.startSession("7 TRANSFER COMPLETE");
-    }, transferCompleteDelayMs);
+  request.setTimeout(uploadTimeoutMs, () => {
+    // Destroying the request emits an error which reports the failure
+    request.destroy(new Error("Upload timeout"));
   });
 
-  // Set timeout (30 seconds)
-  request.setTimeout(downloadTimeoutMs, () => {
-    request.destroy();
-    if (dwInfo.fileType === "1 Firmware Upgrade Image") {
-      device._downloadInProgress = false;
+  upInfo.transfer.request = request;
+  request.end(upInfo.body);
+}
+
+function ScheduleInform(device, request, callback) {
+  let commandKey = "";
+  let delaySeconds = null;
+
+  for (let c of request.children) {
+    switch (c.name) {
+      case "CommandKey":
+        commandKey = xmlParser.decodeEntities(c.text);
+        break;
+      case "DelaySeconds":
+        delaySeconds = Number.parseInt(c.text, 10);
+        break;
     }
-    delete device._activeDownloadRequest;
+  }
 
-    console.error(`❌ Download timeout after ${downloadTimeoutMs}ms`);
-    queueTransferComplete(commandKey, startTime, "9010", "Download timeout");
+  if (!(delaySeconds > 0)) {
+    console.log(`❌ ScheduleInform rejected: invalid DelaySeconds`);
+    return callback(createCwmpFault("9003", "Invalid arguments - DelaySeconds must be greater than zero"));
+  }
 
-    setTimeout(() => {
-      sim.startSession("7 TRANSFER COMPLETE");
-    }, transferCompleteDelayMs);
-  });
+  console.log(`⏰ Inform scheduled in ${delaySeconds} seconds (CommandKey: ${commandKey})`);
+  // Independent of the periodic inform timer
+  device._simulator.setTimer(() => {
+    device._simulator.requestSession(["3 SCHEDULED", { code: "M ScheduleInform", commandKey: commandKey }]);
+  }, delaySeconds * 1000);
 
-  // Store request so it can be cancelled by Reboot
-  device._activeDownloadRequest = request;
+  let response = xmlUtils.node("cwmp:ScheduleInformResponse", {}, "");
+  return callback(response);
 }
 
-function Reboot(device, request, callback) {
-  // Cancel active download
-  if (device._activeDownloadRequest) {
-    console.log("🛑 Cancelling active download due to reboot");
-    device._activeDownloadRequest.destroy();
-    delete device._activeDownloadRequest;
+function ChangeDUState(device, request, callback) {
+  let commandKey = "";
+  const operations = [];
 
-    if (device._downloadInProgress) {
-      device._downloadInProgress = false;
+  for (let c of request.children) {
+    switch (c.name) {
+      case "CommandKey":
+        commandKey = xmlParser.decodeEntities(c.text);
+        break;
+      case "Operations":
+        for (let o of c.children) {
+          // Array members may be named after their type or carry it in xsi:type
+          let type = xmlParser.parseAttrs(o.attrs).find(a => a.localName === "type");
+          type = type ? type.value.split(":").pop() : o.localName;
+          const operation = { type: type.replace(/OpStruct$/, "") };
+          for (let f of o.children) {
+            switch (f.localName) {
+              case "URL":
+                operation.url = xmlParser.decodeEntities(f.text);
+                break;
+              case "UUID":
+                operation.uuid = xmlParser.decodeEntities(f.text);
+                break;
+              case "Username":
+                operation.username = xmlParser.decodeEntities(f.text);
+                break;
+              case "Password":
+                operation.password = xmlParser.decodeEntities(f.text);
+                break;
+              case "ExecutionEnvRef":
+                operation.executionEnvRef = xmlParser.decodeEntities(f.text);
+                break;
+              case "Version":
+                operation.version = xmlParser.decodeEntities(f.text);
+                break;
+            }
+          }
+          operations.push(operation);
+        }
+        break;
+    }
+  }
 
-      // Queue TransferComplete with cancellation fault
-      queueTransferComplete(
-        "cancelled_by_reboot",
-        new Date(),
-        "9010",
-        "Download failure"
-      );
+  if (!operations.length || operations.some(o => !["Install", "Update", "Uninstall"].includes(o.type))) {
+    console.log(`❌ ChangeDUState rejected: invalid operations`);
+    return callback(createCwmpFault("9003", "Invalid arguments - Unsupported or missing operations"));
+  }
+
+  if (operations.some(o => o.type === "Install" && !o.url)) {
+    console.log(`❌ ChangeDUState rejected: Install requires a URL`);
+    return callback(createCwmpFault("9003", "Invalid arguments - Install requires a URL"));
+  }
+
+  if (operations.some(o => o.url && !isValidUrl(o.url))) {
+    console.log(`❌ ChangeDUState rejected: invalid URL`);
+    return callback(createCwmpFault("9003", "Invalid arguments - Invalid URL"));
+  }
+
+  runDuOperations(device, commandKey, operations);
+
+  let response = xmlUtils.node("cwmp:ChangeDUStateResponse", {}, "");
+  return callback(response);
+}
+
+// Apply the operations one after the other and queue the results to be
+// reported in a DUStateChangeComplete
+function runDuOperations(device, commandKey, operations) {
+  const results = [];
+
+  function next(i) {
+    if (i >= operations.length) {
+      device._duStateChanges.push({ commandKey: commandKey, results: results });
+      device._simulator.setTimer(() => {
+        device._simulator.requestSession(["11 DU STATE CHANGE COMPLETE", { code: "M ChangeDUState", commandKey: commandKey }]);
+      }, transferCompleteDelayMs);
+      return;
+    }
+
+    const op = operations[i];
+    const result = {
+      uuid: op.uuid || "",
+      deploymentUnitRef: "",
+      version: op.version || "",
+      currentState: "Failed",
+      resolved: false,
+      executionUnitRefList: "",
+      startTime: new Date(),
+      completeTime: null,
+      faultCode: "0",
+      faultString: ""
+    };
+    results.push(result);
+
+    function done(faultCode, faultString) {
+      result.completeTime = new Date();
+      if (faultCode && faultCode !== "0") {
+        console.error(`❌ ${op.type} of deployment unit failed: ${faultString}`);
+        result.faultCode = faultCode;
+        result.faultString = faultString;
+      } else {
+        console.log(`📦 ${op.type} of deployment unit ${result.uuid} completed`);
+      }
+      next(i + 1);
     }
+
+    const root = ensureSoftwareModules(device);
+    const du = op.uuid ? findDeploymentUnit(device, op.uuid, op.type === "Install" ? null : op.version) : null;
+
+    switch (op.type) {
+      case "Install": {
+        if (op.uuid && !uuidPattern.test(op.uuid))
+          return done("9022", "Invalid UUID format");
+        let executionEnvRef = op.executionEnvRef || `${root}SoftwareModules.ExecEnv.1`;
+        if (!device[`${executionEnvRef.replace(/\.$/, "")}.`])
+          return done("9023", "Unknown execution environment");
+        if (du)
+          return done("9026", "Duplicate deployment unit");
+
+        result.uuid = op.uuid || crypto.randomUUID();
+        return downloadDeploymentUnit(device, op, (faultCode, faultString) => {
+          if (faultCode !== "0") return done(faultCode, faultString);
+          const name = new URL(op.url).pathname.split("/").pop() || "du";
+          const version = "1.0";
+          const euPath = addInstance(device, `${root}SoftwareModules.ExecutionUnit.`, [
+            ["EUID", ""],
+            ["Name", name],
+            ["ExecEnvLabel", name],
+            ["Status", "Idle"],
+            ["RequestedState", ""],
+            ["ExecutionFaultCode", "NoFault"],
+            ["ExecutionFaultMessage", ""],
+            ["AutoStart", "false", "xsd:boolean"],
+            ["Vendor", ""],
+            ["Version", version],
+            ["ExecutionEnvRef", executionEnvRef]
+          ]);
+          device[`${euPath}EUID`][1] = euPath.split(".").slice(-2)[0];
+          const duPath = addInstance(device, `${root}SoftwareModules.DeploymentUnit.`, [
+            ["UUID", result.uuid],
+            ["DUID", ""],
+            ["Name", name],
+            ["Status", "Installed"],
+            ["Resolved", "true", "xsd:boolean"],
+            ["URL", op.url],
+            ["Vendor", ""],
+            ["Version", version],
+            ["ExecutionUnitList", euPath.slice(0, -1)],
+            ["ExecutionEnvRef", executionEnvRef]
+          ]);
+          device[`${duPath}DUID`][1] = duPath.split(".").slice(-2)[0];
+          Object.assign(result, {
+            deploymentUnitRef: duPath.slice(0, -1),
+            version: version,
+            currentState: "Installed",
+            resolved: true,
+            executionUnitRefList: euPath.slice(0, -1)
+          });
+          done("0", "");
+        });
+      }
+
+      case "Update": {
+        if (!du)
+          return done("9028", "Unknown deployment unit");
+        Object.assign(result, {
+          deploymentUnitRef: du.slice(0, -1),
+          version: device[`${du}Version`][1],
+          currentState: "Installed",
+          resolved: true,
+          executionUnitRefList: device[`${du}ExecutionUnitList`][1]
+        });
+        const url = op.url || device[`${du}URL`][1];
+        return downloadDeploymentUnit(device, Object.assign({}, op, { url: url }), (faultCode, faultString) => {
+          if (faultCode !== "0") return done(faultCode, faultString);
+          // Simulate a newer version by bumping the last version component
+          const version = result.version.replace(/(\d+)(?!.*\d)/, n => String(Number(n) + 1));
+          dataModel.edit(device, `${du}Version`)[1] = version;
+          dataModel.edit(device, `${du}URL`)[1] = url;
+          for (let eu of result.executionUnitRefList.split(",").filter(e => device[`${e}.Version`]))
+            dataModel.edit(device, `${eu}.Version`)[1] = version;
+          result.version = version;
+          done("0", "");
+        });
+      }
+
+      case "Uninstall": {
+        if (!du)
+          return done("9028", "Unknown deployment unit");
+        const euList = device[`${du}ExecutionUnitList`][1];
+        result.deploymentUnitRef = du.slice(0, -1);
+        result.version = device[`${du}Version`][1];
+        for (let path of [du].concat(euList.split(",").filter(e => e).map(e => `${e}.`)))
+          deleteSubtree(device, path);
+        result.currentState = "Uninstalled";
+        return done("0", "");
+      }
+    }
+  }
+
+  next(0);
+}
+
+function downloadDeploymentUnit(device, op, callback) {
+  const dwInfo = {
+    attempts: 0,
+    commandKey: null,
+    url: op.url,
+    fileType: null,
+    username: op.username,
+    password: op.password,
+    request: null,
+    onComplete: (faultCode, faultString) => {
+      // Aborted by clearTransfers()
+      if (!device._duDownloads.delete(dwInfo)) return;
+      callback(faultCode, faultString);
+    }
+  };
+  device._duDownloads.add(dwInfo);
+  startDownload(device, null, new Date(), dwInfo);
+}
+
+function getDataModelRoot(device) {
+  return device["InternetGatewayDevice."] ? "InternetGatewayDevice." : "Device.";
+}
+
+// Create the software module objects and a default execution environment if
+// the data model template lacks them
+function ensureSoftwareModules(device) {
+  const root = getDataModelRoot(device);
+  for (let o of ["SoftwareModules.", "SoftwareModules.DeploymentUnit.", "SoftwareModules.ExecutionUnit.", "SoftwareModules.ExecEnv."]) {
+    if (!device[root + o]) device[root + o] = [false];
+  }
+
+  if (!getInstanceNumbers(device, `${root}SoftwareModules.ExecEnv.`).length) {
+    addInstance(device, `${root}SoftwareModules.ExecEnv.`, [
+      ["Enable", "true", "xsd:boolean"],
+      ["Status", "Up"],
+      ["Name", "Default"],
+      ["Type", "Linux"]
+    ]);
+  }
+  return root;
+}
+
+function findDeploymentUnit(device, uuid, version) {
+  const table = `${getDataModelRoot(device)}SoftwareModules.DeploymentUnit.`;
+  for (let i of getInstanceNumbers(device, table)) {
+    const du = `${table}${i}.`;
+    if ((device[`${du}UUID`] || [])[1] !== uuid) continue;
+    if (!version || device[`${du}Version`][1] === version) return du;
+  }
+  return null;
+}
+
+// Add a read-only object instance with the given [name, value, type] parameters
+function addInstance(device, objectName, params) {
+  let instanceNumber = 1;
+  const instances = new Set(getInstanceNumbers(device, objectName));
+  while (instances.has(instanceNumber))
+    instanceNumber += 1;
+
+  const instance = `${objectName}${instanceNumber}.`;
+  device[instance] = [false];
+  for (let [name, value, type] of params)
+    device[instance + name] = [false, value, type || "xsd:string"];
+
+  return instance;
+}
+
+function getPendingDuStateChange(device) {
+  return device._duStateChanges.shift();
+}
+
+function restorePendingDuStateChange(device, duStateChange) {
+  device._duStateChanges.unshift(duStateChange);
+}
+
+function duStateChangeComplete(device, duStateChange, callback) {
+  const results = duStateChange.results.map(r => xmlUtils.node("OpResultStruct", {}, [
+    xmlUtils.node("UUID", {}, xmlParser.encodeEntities(r.uuid)),
+    xmlUtils.node("DeploymentUnitRef", {}, xmlParser.encodeEntities(r.deploymentUnitRef)),
+    xmlUtils.node("Version", {}, xmlParser.encodeEntities(r.version)),
+    xmlUtils.node("CurrentState", {}, r.currentState),
+    xmlUtils.node("Resolved", {}, String(r.resolved)),
+    xmlUtils.node("ExecutionUnitRefList", {}, xmlParser.encodeEntities(r.executionUnitRefList)),
+    xmlUtils.node("StartTime", {}, r.startTime.toISOString()),
+    xmlUtils.node("CompleteTime", {}, r.completeTime.toISOString()),
+    xmlUtils.node("Fault", {}, [
+      xmlUtils.node("FaultCode", {}, r.faultCode),
+      xmlUtils.node("FaultString", {}, xmlParser.encodeEntities(r.faultString))
+    ])
+  ]));
+
+  let body = xmlUtils.node("cwmp:DUStateChangeComplete", {}, [
+    xmlUtils.node("Results", { "soap-enc:arrayType": `cwmp:OpResultStruct[${results.length}]` }, results),
+    xmlUtils.node("CommandKey", {}, xmlParser.encodeEntities(duStateChange.commandKey))
+  ]);
+  return callback(body);
+}
+
+function GetQueuedTransfers(device, request, callback) {
+  // Only lists downloads, GetAllQueuedTransfers includes uploads as well
+  const queued = device._transfers.filter(t => t.isDownload);
+
+  let response = xmlUtils.node(
+    "cwmp:GetQueuedTransfersResponse",
+    {},
+    xmlUtils.node(
+      "TransferList",
+      { "soap-enc:arrayType": `cwmp:QueuedTransferStruct[${queued.length}]` },
+      queued.map(t => xmlUtils.node("QueuedTransferStruct", {}, [
+        xmlUtils.node("CommandKey", {}, xmlParser.encodeEntities(t.commandKey)),
+        xmlUtils.node("State", {}, String(t.state))
+      ]))
+    )
+  );
+  return callback(response);
+}
+
+function GetAllQueuedTransfers(device, request, callback) {
+  const transfers = device._transfers;
+  let response = xmlUtils.node(
+    "cwmp:GetAllQueuedTransfersResponse",
+    {},
+    xmlUtils.node(
+      "TransferList",
+      { "soap-enc:arrayType": `cwmp:AllQueuedTransferStruct[${transfers.length}]` },
+      transfers.map(t => xmlUtils.node("AllQueuedTransferStruct", {}, [
+        xmlUtils.node("CommandKey", {}, xmlParser.encodeEntities(t.commandKey)),
+        xmlUtils.node("State", {}, String(t.state)),
+        xmlUtils.node("IsDownload", {}, String(t.isDownload)),
+        xmlUtils.node("FileType", {}, xmlParser.encodeEntities(t.fileType)),
+        xmlUtils.node("FileSize", {}, String(t.fileSize)),
+        xmlUtils.node("TargetFileName", {}, xmlParser.encodeEntities(t.targetFileName))
+      ]))
+    )
+  );
+  return callback(response);
+}
+
+function CancelTransfer(device, request, callback) {
+  let commandKey = "";
+  for (let c of request.children) {
+    if (c.name === "CommandKey")
+      commandKey = xmlParser.decodeEntities(c.text);
+  }
+
+  const transfers = device._transfers;
+  const matching = transfers.filter(t => t.commandKey === commandKey);
+  if (!matching.length) {
+    console.log(`❌ CancelTransfer rejected: no transfer with CommandKey '${commandKey}'`);
+    return callback(createCwmpFault("9003", `Invalid arguments - No transfer with CommandKey '${commandKey}'`));
+  }
+
+  // Completed transfers are only waiting to be reported
+  if (matching.some(t => t.state === TRANSFER_COMPLETED)) {
+    console.log(`❌ CancelTransfer rejected: transfer '${commandKey}' already completed`);
+    return callback(createCwmpFault("9021", "Cancelation of file transfer not permitted in current transfer state"));
+  }
+
+  for (let transfer of matching) {
+    console.log(`🛑 Cancelling transfer ${transfer.commandKey}`);
+    transfers.splice(transfers.indexOf(transfer), 1);
+    clearTimeout(transfer.timer);
+    if (transfer.request) transfer.request.destroy();
+  }
+
+  let response = xmlUtils.node("cwmp:CancelTransferResponse", {}, "");
+  return callback(response);
+}
+
+function GetRPCMethods(device, request, callback) {
+  // Exported handlers are capitalized after the RPC they implement
+  const methodNames = Object.keys(exports).filter(k => /^[A-Z]/.test(k));
+
+  let response = xmlUtils.node(
+    "cwmp:GetRPCMethodsResponse",
+    {},
+    xmlUtils.node(
+      "MethodList",
+      { "soap-enc:arrayType": `xsd:string[${methodNames.length}]` },
+      methodNames.map(m => xmlUtils.node("string", {}, m))
+    )
+  );
+  return callback(response);
+}
+
+function Reboot(device, request, callback) {
+  let commandKey = "";
+  for (let c of request.children) {
+    if (c.name === "CommandKey")
+      commandKey = xmlParser.decodeEntities(c.text);
+  }
+
+  // Interrupt active transfers, they are reported as failed after booting
+  for (let transfer of device._transfers.filter(t => t.state === TRANSFER_IN_PROGRESS)) {
+    console.log(`🛑 Cancelling active transfer ${transfer.commandKey} due to reboot`);
+    const activeRequest = transfer.request;
+    // Queue TransferComplete with cancellation fault
+    queueTransferComplete(
+      transfer,
+      transfer.startTime || new Date(),
+      transfer.isDownload ? "9010" : "9011",
+      transfer.isDownload ? "Download failure" : "Upload failure"
+    );
+    if (activeRequest) activeRequest.destroy();
+  }
+  // Deployment unit downloads in progress fail as well
+  for (let dwInfo of device._duDownloads) {
+    if (dwInfo.request) dwInfo.request.destroy(new Error("Interrupted by reboot"));
   }
 
   let response = xmlUtils.node("cwmp:RebootResponse", {}, "");
   callback(response);
-  let timeout = sim.stopSession(); //stops accepting connections for timeoutseconds
+  let timeout = device._simulator.stopSession(); //stops accepting connections for timeoutseconds
 
-  setTimeout(function () {
-    sim.startSession("1 BOOT,M Reboot,4 VALUE CHANGE");
+  device._simulator.setTimer(function () {
+    const events = ["1 BOOT", { code: "M Reboot", commandKey: commandKey }];
+    if (device._transfers.some(t => t.state === TRANSFER_COMPLETED))
+      events.push("7 TRANSFER COMPLETE");
+    device._simulator.startSession(events);
   }, Number.parseInt(timeout, 10) + 10000);
 }
 
 function FactoryReset(device, request, callback) {
+  // The data model is restored once the session ends
+  device._pendingFactoryReset = true;
   let response = xmlUtils.node("cwmp:FactoryResetResponse", {}, "");
   callback(response);
-  setTimeout(function () {
-    process.kill(process.pid);
-  }, sessionFactoryResetDelayMs);
 }
 
+exports.parseEvents = parseEvents;
+exports.mergeEvents = mergeEvents;
 exports.inform = inform;
+exports.initTransfers = initTransfers;
 exports.getPendingTransfers = getPendingTransfers;
+exports.appendLog = appendLog;
+exports.restorePendingTransfer = restorePendingTransfer;
+exports.exportTransferState = exportTransferState;
+exports.importTransferState = importTransferState;
+exports.clearTransfers = clearTransfers;
+exports.getPendingDuStateChange = getPendingDuStateChange;
+exports.restorePendingDuStateChange = restorePendingDuStateChange;
+exports.duStateChangeComplete = duStateChangeComplete;
+exports.getParameterAttributes = getParameterAttributes;
+exports.expandParameterPath = expandParameterPath;
+exports.GetRPCMethods = GetRPCMethods;
 exports.GetParameterNames = GetParameterNames;
 exports.GetParameterValues = GetParameterValues;
 exports.SetParameterValues = SetParameterValues;
+exports.GetParameterAttributes = GetParameterAttributes;
+exports.SetParameterAttributes = SetParameterAttributes;
 exports.AddObject = AddObject;
 exports.DeleteObject = DeleteObject;
 exports.Download = Download;
+exports.ScheduleDownload = ScheduleDownload;
+exports.Upload = Upload;
+exports.ScheduleInform = ScheduleInform;
+exports.ChangeDUState = ChangeDUState;
+exports.GetQueuedTransfers = GetQueuedTransfers;
+exports.GetAllQueuedTransfers = GetAllQueuedTransfers;
+exports.CancelTransfer = CancelTransfer;
 exports.Reboot = Reboot;
 exports.FactoryReset = FactoryReset;
\ No newline at end of file
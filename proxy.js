@@ -0,0 +1,124 @@
+"use strict";
+
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+
+/**
+ * Check whether a host is excluded from proxying by NO_PROXY
+ * @param {URL} url - Target URL
+ * @returns {boolean} True if the target is to be reached directly
+ */
+function isProxyBypassed(url) {
+  const noProxy = process.env.NO_PROXY || process.env.no_proxy || "";
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === "https:" ? "443" : "80");
+
+  return noProxy.split(/[\s,]+/).filter(e => e).some(entry => {
+    if (entry === "*") return true;
+    let [entryHost, entryPort] = entry.toLowerCase().split(":");
+    if (entryPort && entryPort !== port) return false;
+    entryHost = entryHost.replace(/^\*?\./, "");
+    return hostname === entryHost || hostname.endsWith(`.${entryHost}`);
+  });
+}
+
+/**
+ * Get the proxy to use for a URL
+ * @param {string} targetUrl - URL to request
+ * @param {string} override - Proxy URL overriding HTTP_PROXY and HTTPS_PROXY,
+ * "none" to connect directly
+ * @returns {URL} Proxy URL, null for a direct connection
+ */
+function getProxyUrl(targetUrl, override) {
+  const url = new URL(targetUrl);
+  let proxy = override;
+  if (!proxy && url.protocol === "https:")
+    proxy = process.env.HTTPS_PROXY || process.env.https_proxy;
+  else if (!proxy)
+    proxy = process.env.HTTP_PROXY || process.env.http_proxy;
+
+  if (!proxy || proxy === "none" || isProxyBypassed(url)) return null;
+  return new URL(proxy.includes("://") ? proxy : `http://${proxy}`);
+}
+
+function getProxyAuthorization(proxyUrl) {
+  if (!proxyUrl.username) return null;
+  const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+  return "Basic " + Buffer.from(credentials).toString("base64");
+}
+
+/**
+ * Create an HTTPS agent tunnelling its connections through the proxy with
+ * CONNECT
+ * @param {URL} proxyUrl - Proxy URL
+ * @param {object} agentOptions - https.Agent options, TLS options included
+ * @returns {https.Agent} Agent
+ */
+function createTunnelAgent(proxyUrl, agentOptions = {}) {
+  const agent = new https.Agent(agentOptions);
+
+  agent.createConnection = function (options, callback) {
+    const target = `${options.host}:${options.port}`;
+    let headers = { Host: target };
+    const authorization = getProxyAuthorization(proxyUrl);
+    if (authorization) headers["Proxy-Authorization"] = authorization;
+
+    const request = http.request({
+      hostname: proxyUrl.hostname,
+      port: proxyUrl.port || 80,
+      method: "CONNECT",
+      path: target,
+      headers: headers
+    });
+
+    request.once("connect", (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        return callback(new Error(`Proxy CONNECT to ${target} failed with status ${res.statusCode}`));
+      }
+      callback(null, tls.connect(Object.assign({}, options, {
+        socket: socket,
+        servername: options.servername || options.host
+      })));
+    });
+    request.once("error", callback);
+    request.end();
+  };
+
+  return agent;
+}
+
+/**
+ * Route a request through a proxy: plain HTTP requests are sent to the proxy
+ * with the absolute URL, HTTPS ones get a tunnelling agent. The proxy itself
+ * is always reached over plain HTTP.
+ * @param {object} options - Request options, modified in place
+ * @param {string} targetUrl - URL to request
+ * @param {URL} proxyUrl - Proxy URL
+ * @param {object} tlsOptions - TLS options for HTTPS targets
+ * @returns {object} The request options
+ */
+function proxyRequestOptions(options, targetUrl, proxyUrl, tlsOptions = {}) {
+  const url = new URL(targetUrl);
+  if (url.protocol === "https:") {
+    options.agent = createTunnelAgent(proxyUrl, tlsOptions);
+    return options;
+  }
+
+  options.headers = options.headers || {};
+  options.headers["Host"] = url.host;
+  const authorization = getProxyAuthorization(proxyUrl);
+  if (authorization) options.headers["Proxy-Authorization"] = authorization;
+  options.protocol = "http:";
+  options.hostname = proxyUrl.hostname;
+  options.port = proxyUrl.port || 80;
+  options.path = url.href;
+  return options;
+}
+
+module.exports = {
+  getProxyUrl,
+  createTunnelAgent,
+  proxyRequestOptions
+};
@@ -114,9 +114,82 @@ function generateDigestAuth(username, password, method, uri, digestParams, nc =
   return authHeader;
 }
 
+/**
+ * Build a WWW-Authenticate challenge for digest authentication
+ * @param {string} realm - Protection realm
+ * @param {string} nonce - Server nonce
+ * @param {boolean} stale - Whether the previous nonce expired (default: false)
+ * @returns {string} WWW-Authenticate header value
+ */
+function createDigestChallenge(realm, nonce, stale = false) {
+  let challenge = `Digest realm="${realm}", qop="auth", nonce="${nonce}", algorithm=MD5`;
+  if (stale) challenge += ", stale=true";
+  return challenge;
+}
+
+/**
+ * Verify the response of a digest Authorization header
+ * @param {object} authParams - Parsed Authorization header (see parseDigestHeader)
+ * @param {string} method - HTTP method of the request
+ * @param {string} username - Expected username
+ * @param {string} password - Expected password
+ * @returns {boolean} True if the credentials match
+ */
+function verifyDigestAuth(authParams, method, username, password) {
+  if (authParams.username !== username) return false;
+
+  const realm = authParams.realm || "";
+  const nonce = authParams.nonce || "";
+  const qop = authParams.qop || "";
+  const algorithm = authParams.algorithm || "MD5";
+
+  let ha1 = md5(`${username}:${realm}:${password}`);
+  if (algorithm.toUpperCase() === "MD5-SESS")
+    ha1 = md5(`${ha1}:${nonce}:${authParams.cnonce}`);
+
+  const ha2 = md5(`${method}:${authParams.uri}`);
+
+  let expected;
+  if (qop === "auth" || qop === "auth-int") {
+    expected = md5(`${ha1}:${nonce}:${authParams.nc}:${authParams.cnonce}:${qop}:${ha2}`);
+  } else {
+    expected = md5(`${ha1}:${nonce}:${ha2}`);
+  }
+
+  return authParams.response === expected;
+}
+
+/**
+ * Verify a basic Authorization header
+ * @param {string} header - The Authorization header value
+ * @param {string} username - Expected username
+ * @param {string} password - Expected password
+ * @returns {boolean} True if the credentials match
+ */
+function verifyBasicAuth(header, username, password) {
+  const credentials = Buffer.from(header.replace(/^Basic\s+/i, ""), "base64").toString();
+  return credentials === `${username}:${password}`;
+}
+
+/**
+ * Verify the signature of a UDP connection request (TR-111 Annex G)
+ * @param {URLSearchParams} params - ts, id, un, cn and sig of the request
+ * @param {string} password - Connection request password
+ * @returns {boolean} True if the signature matches
+ */
+function verifyUdpConnectionRequest(params, password) {
+  const text = ["ts", "id", "un", "cn"].map(k => params.get(k) || "").join("");
+  const sig = crypto.createHmac("sha1", password).update(text).digest("hex");
+  return (params.get("sig") || "").toLowerCase() === sig;
+}
+
 module.exports = {
   parseDigestHeader,
   generateDigestAuth,
+  createDigestChallenge,
+  verifyDigestAuth,
+  verifyBasicAuth,
+  verifyUdpConnectionRequest,
   md5,
   getAuthorizationHeader
 };
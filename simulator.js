@@ -1,10 +1,19 @@
 "use strict";
 
+const EventEmitter = require("events");
 const net = require("net");
+const dgram = require("dgram");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 const xmlParser = require("./xml-parser");
 const xmlUtils = require("./xml-utils");
 const methods = require("./methods");
+const dataModel = require("./data-model");
 const digestAuth = require("./service-auth");
+const stunClient = require("./stun-client");
+const proxy = require("./proxy");
+const xmppClient = require("./xmpp-client");
 
 const NAMESPACES = {
   "soap-enc": "http://schemas.xmlsoap.org/soap/encoding/",
@@ -14,15 +23,40 @@ const NAMESPACES = {
   "cwmp": "urn:dslforum-org:cwmp-1-0"
 };
 
-let nextInformTimeout = null;
-let pendingInform = false;
-let http = null;
-let requestOptions = null;
-let device = null;
-let defaultDeviceValue = null;
-let httpAgent = null;
-let acceptConnections = true;
-let timeout = 10000;
+// Parameters keeping their value through a factory reset
+const IDENTITY_PARAMS = [
+  "DeviceID.SerialNumber",
+  "Device.DeviceInfo.SerialNumber",
+  "InternetGatewayDevice.DeviceInfo.SerialNumber",
+  "Device.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress",
+  "InternetGatewayDevice.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress",
+  "Device.ManagementServer.ConnectionRequestURL",
+  "InternetGatewayDevice.ManagementServer.ConnectionRequestURL"
+];
+
+// Runtime properties of the data model surviving a factory reset
+const RUNTIME_PROPS = ["_simulator", "_startAcsUrl", "_getRpcMethods", "_transfers", "_duStateChanges", "_duDownloads"];
+
+const CONNECTION_REQUEST_REALM = "genieacs-sim";
+const nonceLifetimeMs = 300000;
+const connectionRequestWindowMs = 60000;
+const stunDefaultKeepAliveSeconds = 30;
+const xmppRetryMs = 30000;
+const maxRedirects = 5;
+// Delay before writing the device state, saving the changes made meanwhile
+// at once
+const saveStateDelayMs = 1000;
+// Longest delay of a timer, longer ones fire right away
+const maxTimerMs = 2147483647;
+// Statistics incremented by the simulated traffic
+const COUNTER_PATTERN = /\.(Bytes|Packets)(Sent|Received)$/;
+const NS_XMPP_CONN_REQ = "urn:broadband-forum-org:cwmp:xmppConnReq-1-0";
+
+// Devices saving their state, saved one last time when the process exits
+const statefulDevices = new Set();
+process.on("exit", () => {
+  for (let d of statefulDevices) d.writeState();
+});
 
 function createSoapDocument(id, body) {
   let headerNode = xmlUtils.node(
@@ -41,439 +75,1466 @@ function createSoapDocument(id, body) {
   return `<?xml version="1.0" encoding="UTF-8"?>\n${env}`;
 }
 
-function sendRequest(xml, callback) {
-  let headers = {};
-  let body = xml || "";
+function createFaultResponse(code, message) {
+  let fault = xmlUtils.node(
+    "detail",
+    {},
+    xmlUtils.node("cwmp:Fault", {}, [
+      xmlUtils.node("FaultCode", {}, code),
+      xmlUtils.node("FaultString", {}, xmlParser.encodeEntities(message))
+    ])
+  );
+
+  let soapFault = xmlUtils.node("soap-env:Fault", {}, [
+    xmlUtils.node("faultcode", {}, "Client"),
+    xmlUtils.node("faultstring", {}, "CWMP fault"),
+    fault
+  ]);
+
+  return soapFault;
+}
+
+// ID header and Body of a SOAP envelope, throwing if the document is not one
+function getRequestIdAndBody(xml) {
+  let headerElement, bodyElement;
+  let envelope = xml.children.find(c => c.localName === "Envelope");
+  if (!envelope) throw new Error("Invalid SOAP message: no Envelope");
+  for (const c of envelope.children) {
+    switch (c.localName) {
+      case "Header":
+        headerElement = c;
+        break;
+      case "Body":
+        bodyElement = c;
+        break;
+    }
+  }
+  if (!bodyElement) throw new Error("Invalid SOAP message: no Body");
+
+  // The header is optional, e.g. in the empty response of some ACSs
+  let requestId;
+  for (let c of headerElement ? headerElement.children : []) {
+    if (c.localName === "ID") {
+      requestId = xmlParser.decodeEntities(c.text);
+      break;
+    }
+  }
+  return [requestId, bodyElement];
+}
 
-  headers["Content-Length"] = body.length;
-  headers["Content-Type"] = "text/xml; charset=\"utf-8\"";
+// Plain value of a parsed RPC argument: SOAP arrays become arrays, elements
+// with children objects keyed by their local names and the others their text
+function elementToValue(element) {
+  if (/arrayType/.test(element.attrs) || new Set(element.children.map(c => c.localName)).size < element.children.length)
+    return element.children.map(elementToValue);
+  if (!element.children.length) return xmlParser.decodeEntities(element.text);
+  let value = {};
+  for (let c of element.children) value[c.localName] = elementToValue(c);
+  return value;
+}
+
+function logAcsRpcMethods(xml) {
+  if (!xml) {
+    console.log(`ACS did not respond to GetRPCMethods`);
+    return;
+  }
+
+  let [, bodyElement] = getRequestIdAndBody(xml);
+  let response = bodyElement.children.find(c => c.localName === "GetRPCMethodsResponse");
+  if (!response) {
+    console.log(`ACS rejected GetRPCMethods`);
+    return;
+  }
+
+  let methodList = response.children.find(c => c.localName === "MethodList");
+  let acsMethods = (methodList ? methodList.children : []).map(c => xmlParser.decodeEntities(c.text));
+  console.log(`ACS supports RPC methods: ${acsMethods.join(", ")}`);
+}
+
+// Session Retry Policy wait interval in seconds for the given retry count
+function getRetryWaitInterval(device, retryCount) {
+  let minimumWait = 5;
+  let multiplier = 2000;
+  for (let prefix of ["Device.ManagementServer.", "InternetGatewayDevice.ManagementServer."]) {
+    if (device[`${prefix}CWMPRetryMinimumWaitInterval`])
+      minimumWait = Number.parseInt(device[`${prefix}CWMPRetryMinimumWaitInterval`][1], 10) || minimumWait;
+    if (device[`${prefix}CWMPRetryIntervalMultiplier`])
+      multiplier = Number.parseInt(device[`${prefix}CWMPRetryIntervalMultiplier`][1], 10) || multiplier;
+  }
+
+  const n = Math.min(retryCount, 10);
+  const low = minimumWait * Math.pow(multiplier / 1000, n - 1);
+  const high = minimumWait * Math.pow(multiplier / 1000, n);
+  return low + Math.random() * (high - low);
+}
+
+function getManagementServerParam(device, name) {
+  for (let prefix of ["Device.", "InternetGatewayDevice."]) {
+    const param = `${prefix}ManagementServer.${name}`;
+    if (device[param]) return param;
+  }
+  return null;
+}
+
+function getManagementServerValue(device, name) {
+  const path = getManagementServerParam(device, name);
+  return path ? device[path][1] : "";
+}
+
+function getConnectionRequestCredentials(device) {
+  for (let prefix of ["Device.", "InternetGatewayDevice."]) {
+    if (device[`${prefix}ManagementServer.ConnectionRequestUsername`]) {
+      return [
+        device[`${prefix}ManagementServer.ConnectionRequestUsername`][1],
+        (device[`${prefix}ManagementServer.ConnectionRequestPassword`] || [])[1] || ""
+      ];
+    }
+  }
+  return ["", ""];
+}
+
+function getStunConfig(device) {
+  return ["STUNEnable", "STUNServerAddress", "STUNServerPort", "STUNUsername", "STUNPassword",
+    "STUNMinimumKeepAlivePeriod"].map(name => getManagementServerValue(device, name)).join("\n");
+}
 
-  // Use digest auth if available, otherwise fall back to basic auth
-  // TODO, change this to one function to be used in file download too
-  headers["Authorization"] = digestAuth.getAuthorizationHeader(device, "POST", requestOptions.path);
-  if (device._cookie)
-    headers["Cookie"] = device._cookie;
+// The XMPP connection referenced by ManagementServer.ConnReqXMPPConnection, or
+// the first enabled one
+function getXmppConnection(device) {
+  let connection = getManagementServerValue(device, "ConnReqXMPPConnection");
+  if (connection && !connection.endsWith(".")) connection += ".";
+  if (!connection) {
+    connection = Object.keys(device).find(p => /^Device\.XMPP\.Connection\.\d+\.$/.test(p) &&
+      (device[`${p}Enable`] || [])[1] === "true");
+  }
+  if (!connection || !device[connection]) return null;
+  return connection;
+}
 
-  let options = {
-    method: "POST",
-    headers: headers,
-    agent: httpAgent
+function getXmppConfig(device) {
+  const connection = getXmppConnection(device);
+  if (!connection) return null;
+  const value = name => (device[`${connection}${name}`] || [])[1] || "";
+  if (value("Enable") !== "true") return null;
+  const domain = value("Domain");
+  return {
+    connection: connection,
+    host: value("Server.1.ServerAddress") || domain,
+    port: Number.parseInt(value("Server.1.Port"), 10) || 5222,
+    domain: domain,
+    username: value("Username"),
+    password: value("Password"),
+    resource: value("Resource") || `genieacs-sim-${crypto.randomBytes(4).toString("hex")}`,
+    useTls: value("UseTLS") === "true"
   };
+}
+
+// ManagementServer.URL as set by the ACS, the URL given on start otherwise
+function getAcsUrl(device) {
+  for (let prefix of ["Device.", "InternetGatewayDevice."]) {
+    const param = device[`${prefix}ManagementServer.URL`];
+    if (!param || !param[1]) continue;
+    try {
+      return new URL(param[1]).href;
+    } catch (err) {
+      console.error(`Invalid ManagementServer.URL ${param[1]}, ignoring it`);
+    }
+  }
+  return new URL(device._startAcsUrl).href;
+}
+
+function resetAcsUrl(device) {
+  for (let prefix of ["Device.", "InternetGatewayDevice."]) {
+    if (device[`${prefix}ManagementServer.URL`])
+      dataModel.edit(device, `${prefix}ManagementServer.URL`)[1] = device._startAcsUrl;
+  }
+}
+
+function loadCredentials(device) {
+  device._username = "usertest";
+  device._password = "passtest";
+  if (device["Device.ManagementServer.Username"]) {
+    device._username = device["Device.ManagementServer.Username"][1];
+    device._password = device["Device.ManagementServer.Password"][1];
+  } else if (device["InternetGatewayDevice.ManagementServer.Username"]) {
+    device._username = device["InternetGatewayDevice.ManagementServer.Username"][1];
+    device._password = device["InternetGatewayDevice.ManagementServer.Password"][1];
+  }
+}
 
-  Object.assign(options, requestOptions);
+// A simulated CPE. Each one owns its data model, HTTP agent, timers,
+// connection request servers and transfer queue so any number of them can
+// share a process. The data model links back to its Device through
+// device._simulator for the RPC handlers in methods.js.
+// Events:
+// - "inform" (events): the ACS acknowledged an Inform with these
+//   { code, commandKey } events
+// - "rpc" (name, args): an RPC is received from the ACS, its arguments given
+//   as plain values
+// - "transferComplete" (result): the ACS acknowledged a TransferComplete
+// - "sessionEnd" (err): the session ended, err being set if it failed
+// - "error" (err): the device could not start listening for connection
+//   requests
+class Device extends EventEmitter {
+  constructor(model, serialNumber, macAddress, acsUrl, defaultTimeout, options = {}) {
+    super();
+    this.serialNumber = serialNumber;
+    this.macAddress = macAddress;
+    this.startAcsUrl = acsUrl;
+    this.options = options;
+    this.timeout = defaultTimeout;
+    // A data model given as a plain object becomes the template of its own
+    // device, factory resets go back to the template
+    if (!dataModel.getTemplate(model))
+      model = dataModel.create(dataModel.freeze(JSON.parse(JSON.stringify(model))));
+    this.device = model;
+
+    this.nextInformTimeout = null;
+    this.pendingEvents = [];
+    this.http = null;
+    this.requestOptions = null;
+    this.httpAgent = null;
+    this.acceptConnections = true;
+    // CA bundle, client certificate and key for HTTPS connections
+    this.tlsOptions = {};
+    // Proxy URL overriding the proxy environment variables, and the proxy used
+    // to reach the ACS
+    this.proxyOverride = options.proxy || null;
+    this.acsProxyUrl = null;
+    // Undelivered events, changed parameters and reports of the ongoing
+    // session, restored if the session fails so the retry carries them again
+    this.session = null;
+    // File where the device state is saved when a state directory is given
+    this.stateFile = null;
+    this.saveStateTimer = null;
+    // "digest", "basic" or "none"
+    this.connectionRequestAuth = options.connectionRequestAuth || "digest";
+    // Nonces handed out in connection request challenges and their last nonce
+    // count
+    this.connectionRequestNonces = new Map();
+    // Path of the ConnectionRequestURL, limit of accepted connection requests
+    // per minute (0 for no limit) and whether to drop rate limited ones
+    // without an answer
+    this.connectionRequestPath = "/";
+    if (options.connectionRequestPath === "random")
+      this.connectionRequestPath = `/${crypto.randomBytes(8).toString("hex")}`;
+    else if (options.connectionRequestPath)
+      this.connectionRequestPath = `/${options.connectionRequestPath.replace(/^\//, "")}`;
+    this.connectionRequestLimit = options.connectionRequestLimit || 0;
+    this.connectionRequestDrop = !!options.connectionRequestDrop;
+    // Times of the connection requests accepted in the last minute
+    this.connectionRequestTimes = [];
+    this.connectionRequestStats = {
+      accepted: 0,
+      unauthorized: 0,
+      rateLimited: 0,
+      busy: 0,
+      invalid: 0
+    };
+    this.httpServer = null;
+    // UDP connection requests (TR-111 Annex G): socket shared with the STUN
+    // binding, the local address it is bound to, the pending Binding Request
+    // and the last accepted message
+    this.udpSocket = null;
+    this.udpLocalAddress = null;
+    this.stunTimer = null;
+    this.stunTransactionId = null;
+    this.stunBindingChanged = false;
+    this.stunConfig = null;
+    this.lastUdpConnectionRequest = { ts: 0, id: null };
+    // XMPP connection requests: the client logged in with the
+    // Device.XMPP.Connection used for connection requests, and the settings it
+    // logged in with
+    this.xmppConnection = null;
+    this.xmppConfig = null;
+    this.xmppRetryTimer = null;
+    // Set once the device is removed, its timers and sockets are closed
+    this.stopped = false;
+    // Timers of reboots and of the sessions scheduled by RPCs
+    this.timers = new Set();
+  }
 
-  console.log("sendRequest - request create");
+  // Run a callback later, unless the device is stopped meanwhile. Delays
+  // beyond the longest timer are waited in steps.
+  setTimer(callback, ms) {
+    if (this.stopped) return;
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (ms > maxTimerMs) this.setTimer(callback, ms - maxTimerMs);
+      else callback();
+    }, Math.min(ms, maxTimerMs));
+    this.timers.add(timer);
+  }
 
-  let request = http.request(options, function (response) {
-    let chunks = [];
-    let bytes = 0;
+  sendRequest(xml, callback, authRetried = false, redirects = 0) {
+    // The session failed meanwhile, a retry is already scheduled
+    if (!this.session) return;
 
-    response.on("data", function (chunk) {
-      chunks.push(chunk);
-      return bytes += chunk.length;
-    });
+    const device = this.device;
+    const requestOptions = this.requestOptions;
+    let headers = {};
+    let body = xml || "";
+
+    headers["Content-Length"] = body.length;
+    headers["Content-Type"] = "text/xml; charset=\"utf-8\"";
 
-    return response.on("end", function () {
-      let offset = 0;
-      body = Buffer.allocUnsafe(bytes);
+    // Use digest auth if available, otherwise fall back to basic auth
+    // TODO, change this to one function to be used in file download too
+    headers["Authorization"] = digestAuth.getAuthorizationHeader(device, "POST", requestOptions.path);
+    if (device._cookie)
+      headers["Cookie"] = device._cookie;
 
-      chunks.forEach(function (chunk) {
-        chunk.copy(body, offset, 0, chunk.length);
-        return offset += chunk.length;
+    let options = {
+      method: "POST",
+      headers: headers,
+      agent: this.httpAgent
+    };
+
+    Object.assign(options, requestOptions);
+    // HTTPS goes through the tunnelling agent
+    if (this.acsProxyUrl && requestOptions.protocol === "http:")
+      proxy.proxyRequestOptions(options, requestOptions.href, this.acsProxyUrl);
+
+    console.log("sendRequest - request create");
+
+    let request = this.http.request(options, (response) => {
+      let chunks = [];
+      let bytes = 0;
+
+      response.on("data", function (chunk) {
+        chunks.push(chunk);
+        return bytes += chunk.length;
       });
 
-      // Handle 401 Unauthorized - digest auth challenge
-      if (response.statusCode === 401) {
-        const wwwAuth = response.headers["www-authenticate"];
-
-        if (wwwAuth && wwwAuth.toLowerCase().startsWith("digest")) {
-          // Parse digest challenge and retry
-          device._digestParams = digestAuth.parseDigestHeader(wwwAuth);
-          device._nonceCount = 0;
-          console.log(`Simulator received digest auth challenge, retrying with digest authentication`);
-          return sendRequest(xml, callback);
-        } else {
-          throw new Error(
-            `Authentication failed with status ${response.statusCode}: ${body}`
-          );
+      return response.on("end", () => {
+        // The session failed or the device was stopped meanwhile
+        if (!this.session) return;
+        let offset = 0;
+        body = Buffer.allocUnsafe(bytes);
+
+        chunks.forEach(function (chunk) {
+          chunk.copy(body, offset, 0, chunk.length);
+          return offset += chunk.length;
+        });
+
+        // Redirects apply for the remainder of the session
+        if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers["location"]) {
+          if (redirects >= maxRedirects)
+            return this.sessionFailed(new Error("Too many redirects"));
+          let location;
+          try {
+            location = new URL(response.headers["location"], requestOptions.href).href;
+          } catch (err) {
+            return this.sessionFailed(new Error(`Invalid redirect location ${response.headers["location"]}`));
+          }
+          console.log(`Simulator redirected to ${location} for the rest of the session`);
+          this.session.redirected = true;
+          this.setAcsUrl(location);
+          return this.sendRequest(xml, callback, false, redirects + 1);
         }
-      }
 
-      if (Math.floor(response.statusCode / 100) !== 2) {
-        throw new Error(
-          `Unexpected response Code from ACS ${response.statusCode}: ${body}`
-        );
-      }
+        // Handle 401 Unauthorized - digest auth challenge
+        if (response.statusCode === 401) {
+          const wwwAuth = response.headers["www-authenticate"];
+
+          if (wwwAuth && wwwAuth.toLowerCase().startsWith("digest") && !authRetried) {
+            // Parse digest challenge and retry
+            device._digestParams = digestAuth.parseDigestHeader(wwwAuth);
+            device._nonceCount = 0;
+            console.log(`Simulator received digest auth challenge, retrying with digest authentication`);
+            return this.sendRequest(xml, callback, true, redirects);
+          } else {
+            return this.sessionFailed(new Error(
+              `Authentication failed with status ${response.statusCode}: ${body}`
+            ));
+          }
+        }
+
+        if (Math.floor(response.statusCode / 100) !== 2) {
+          return this.sessionFailed(new Error(
+            `Unexpected response Code from ACS ${response.statusCode}: ${body}`
+          ));
+        }
 
-      if (+response.headers["Content-Length"] > 0 || body.length > 0)
-        xml = xmlParser.parseXml(body.toString());
-      else
-        xml = null;
+        try {
+          if (+response.headers["Content-Length"] > 0 || body.length > 0) {
+            xml = xmlParser.parseXml(body.toString());
+            // e.g. an HTML login page
+            getRequestIdAndBody(xml);
+          } else {
+            xml = null;
+          }
+        } catch (err) {
+          return this.sessionFailed(err);
+        }
 
-      if (response.headers["set-cookie"])
-        device._cookie = response.headers["set-cookie"];
+        if (response.headers["set-cookie"])
+          device._cookie = response.headers["set-cookie"];
 
-      return callback(xml);
+        return callback(xml);
+      });
     });
-  });
 
-  request.setTimeout(Number.parseInt(timeout, 10) + 30000, function (err) {
-    throw new Error("Socket timed out");
-  });
-
-  return request.end(body);
-}
+    request.on("error", err => this.sessionFailed(err));
 
-function startSession(event) { // called automatically after a timeout or when a connection request is received from GENIEACS (PING)
-  nextInformTimeout = null;
-  pendingInform = false;
-  const requestId = Math.random().toString(36).slice(-8);
-  let xml = null;
-  methods.inform(device, event, function (body) {
-    console.log(` startSession event: ${event}`);
-    xml = createSoapDocument(requestId, body);
-    sendRequest(xml, function (xml) {
-      cpeRequest(xml);
+    request.setTimeout(Number.parseInt(this.timeout, 10) + 30000, function () {
+      request.destroy(new Error("Socket timed out"));
     });
-  });
-}
 
-function createFaultResponse(code, message) {
-  let fault = xmlUtils.node(
-    "detail",
-    {},
-    xmlUtils.node("cwmp:Fault", {}, [
-      xmlUtils.node("FaultCode", {}, code),
-      xmlUtils.node("FaultString", {}, xmlParser.encodeEntities(message))
-    ])
-  );
+    return request.end(body);
+  }
 
-  let soapFault = xmlUtils.node("soap-env:Fault", {}, [
-    xmlUtils.node("faultcode", {}, "Client"),
-    xmlUtils.node("faultstring", {}, "CWMP fault"),
-    fault
-  ]);
+  sessionFailed(err) {
+    // Ignore errors of requests belonging to an already failed session
+    if (!this.session) return;
+
+    const device = this.device;
+    const session = this.session;
+    console.error(`Session failed: ${err.message}`);
+    this.endRedirect();
+    this.httpAgent.destroy();
+    device._cookie = null;
+
+    // Keep whatever was not delivered for the retry
+    this.pendingEvents = methods.mergeEvents(session.events, this.pendingEvents);
+    for (let p of session.changedParameters) {
+      if (!device._changedParameters.includes(p)) device._changedParameters.push(p);
+    }
+    if (session.transfer) methods.restorePendingTransfer(device, session.transfer);
+    if (session.duStateChange) methods.restorePendingDuStateChange(device, session.duStateChange);
+    this.session = null;
+    this.saveState();
+
+    device._retryCount = (device._retryCount || 0) + 1;
+    const waitInterval = getRetryWaitInterval(device, device._retryCount);
+    console.log(`Retrying session in ${waitInterval.toFixed(1)} seconds (retry ${device._retryCount})`);
+    clearTimeout(this.nextInformTimeout);
+    this.nextInformTimeout = setTimeout(() => {
+      this.startSession(null);
+    }, waitInterval * 1000);
+    this.emit("sessionEnd", err);
+  }
 
-  return soapFault;
-}
+  startSession(event) { // called automatically after a timeout or when a connection request is received from GENIEACS (PING)
+    if (this.stopped) return;
+    const device = this.device;
+    // Sessions started by RPCs or reboots replace the periodic one
+    clearTimeout(this.nextInformTimeout);
+    this.nextInformTimeout = null;
+    let events = methods.parseEvents(event);
+    // Merge events that were raised while the previous session was ongoing
+    events = methods.mergeEvents(events, this.pendingEvents);
+    this.pendingEvents = [];
+
+    // Bootstrap on first contact with an ACS, including when the ACS changed
+    // ManagementServer.URL
+    const acsUrl = getAcsUrl(device);
+    if (acsUrl !== device._bootstrapUrl) {
+      events = methods.mergeEvents(methods.parseEvents("0 BOOTSTRAP"), events);
+      if (acsUrl !== this.requestOptions.href) this.setAcsUrl(acsUrl);
+    }
 
+    if (!device._changedParameters) device._changedParameters = [];
+    this.session = {
+      acsUrl: acsUrl,
+      events: events,
+      changedParameters: device._changedParameters.slice(),
+      transfer: null,
+      duStateChange: null
+    };
+    this.saveState();
+    const requestId = Math.random().toString(36).slice(-8);
+    let xml = null;
+    methods.inform(device, events, (body) => {
+      const eventCodes = events.map(e => e.code).join(",") || "2 PERIODIC";
+      console.log(` startSession event: ${eventCodes}`);
+      methods.appendLog(device, `Inform: ${eventCodes}`);
+      xml = createSoapDocument(requestId, body);
+      this.sendRequest(xml, (xml) => {
+        // InformResponse received, events are delivered
+        this.emit("inform", events.map(e => Object.assign({}, e)));
+        this.session.events = [];
+        this.session.changedParameters = [];
+        device._bootstrapUrl = this.session.acsUrl;
+        this.saveState();
+        this.cpeRequest(xml);
+      });
+    });
+  }
 
-function cpeRequest(requestXml) {
-  // Check for empty response first (session end from ACS)
-  if (!requestXml) {
-    if (!acceptConnections) {
-      console.log(`Session ended while device unavailable`);
-      httpAgent.destroy();
+  // Start a session for the given event right away, or as soon as the ongoing
+  // session ends
+  requestSession(event) {
+    // A session is ongoing when nextInformTimeout === null
+    if (this.nextInformTimeout === null) {
+      this.pendingEvents = methods.mergeEvents(this.pendingEvents, methods.parseEvents(event));
+      this.saveState();
       return;
     }
-    console.log("✓ Empty response from ACS - session ending normally");
-    handleMethod(null);
-    return;
+    clearTimeout(this.nextInformTimeout);
+    this.nextInformTimeout = setTimeout(() => {
+      this.startSession(event);
+    }, 0);
   }
 
-  // Now safe to parse the request
-  let [requestId,] = getRequestIdAndBody(requestXml);
-
-  // Check if there are pending transfers to send as TransferComplete (file download or upload or firmware upgrade)
-  const pendingTransfer = methods.getPendingTransfers();
-  if (pendingTransfer) {
-    console.log(`cpeRequest pendingTransfer: ${pendingTransfer.commandKey}`);
-    // Mark this as a TransferComplete session
-    device._transferCompleteSession = true;
-
-    // Start with required elements only
-    const transferCompleteChildren = [
-      xmlUtils.node("CommandKey", {}, xmlParser.encodeEntities(pendingTransfer.commandKey || "")),
-      xmlUtils.node("StartTime", {}, pendingTransfer.startTime.toISOString()),
-      xmlUtils.node("CompleteTime", {}, new Date().toISOString())
-    ];
-
-    // CONDITIONALLY add FaultStruct only if there's a real fault
-    if (pendingTransfer.faultCode && pendingTransfer.faultCode !== "0" && pendingTransfer.faultCode !== "") {
-      transferCompleteChildren.push(
-        xmlUtils.node("FaultStruct", {}, [
-          xmlUtils.node("FaultCode", {}, pendingTransfer.faultCode),
-          xmlUtils.node("FaultString", {}, xmlParser.encodeEntities(pendingTransfer.faultString || ""))
-        ])
-      );
+  cpeRequest(requestXml) {
+    const device = this.device;
+    // Check for empty response first (session end from ACS)
+    if (!requestXml) {
+      if (!this.acceptConnections) {
+        console.log(`Session ended while device unavailable`);
+        this.endRedirect();
+        this.httpAgent.destroy();
+        this.emit("sessionEnd", null);
+        return;
+      }
+      console.log("✓ Empty response from ACS - session ending normally");
+      this.handleMethod(null);
+      return;
+    }
+
+    // Now safe to parse the request
+    let [requestId,] = getRequestIdAndBody(requestXml);
+
+    // Check if there are pending transfers to send as TransferComplete (file download or upload or firmware upgrade)
+    const pendingTransfer = methods.getPendingTransfers(device);
+    if (pendingTransfer) {
+      console.log(`cpeRequest pendingTransfer: ${pendingTransfer.commandKey}`);
+      this.session.transfer = pendingTransfer;
+      // Mark this as a TransferComplete session
+      device._transferCompleteSession = true;
+
+      // Start with required elements only
+      const transferCompleteChildren = [
+        xmlUtils.node("CommandKey", {}, xmlParser.encodeEntities(pendingTransfer.commandKey || "")),
+        xmlUtils.node("StartTime", {}, pendingTransfer.startTime.toISOString()),
+        xmlUtils.node("CompleteTime", {}, pendingTransfer.completeTime.toISOString())
+      ];
+
+      // CONDITIONALLY add FaultStruct only if there's a real fault
+      if (pendingTransfer.faultCode && pendingTransfer.faultCode !== "0" && pendingTransfer.faultCode !== "") {
+        transferCompleteChildren.push(
+          xmlUtils.node("FaultStruct", {}, [
+            xmlUtils.node("FaultCode", {}, pendingTransfer.faultCode),
+            xmlUtils.node("FaultString", {}, xmlParser.encodeEntities(pendingTransfer.faultString || ""))
+          ])
+        );
+      }
+
+      if (device._pendingReboot) {
+        console.log(`⏳ TransferComplete sent, reboot will occur after session ends`);
+      }
+
+      const transferComplete = xmlUtils.node("cwmp:TransferComplete", {}, transferCompleteChildren);
+      let xml = createSoapDocument(requestId, transferComplete);
+      this.sendRequest(xml, (xml) => {
+        // TransferCompleteResponse, report the next transfer if any
+        this.session.transfer = null;
+        this.emit("transferComplete", {
+          commandKey: pendingTransfer.commandKey || "",
+          startTime: pendingTransfer.startTime,
+          completeTime: pendingTransfer.completeTime,
+          faultCode: pendingTransfer.faultCode || "0",
+          faultString: pendingTransfer.faultString || ""
+        });
+        this.cpeRequest(xml);
+      });
+      return;
     }
 
-    if (device._pendingReboot) {
-      console.log(`⏳ TransferComplete sent, reboot will occur after session ends`);
+    // Report completed ChangeDUState operations
+    const pendingDuStateChange = methods.getPendingDuStateChange(device);
+    if (pendingDuStateChange) {
+      console.log(`cpeRequest pendingDuStateChange: ${pendingDuStateChange.commandKey}`);
+      this.session.duStateChange = pendingDuStateChange;
+      methods.duStateChangeComplete(device, pendingDuStateChange, (body) => {
+        let xml = createSoapDocument(requestId, body);
+        this.sendRequest(xml, (xml) => {
+          this.session.duStateChange = null;
+          this.cpeRequest(xml);
+        });
+      });
+      return;
     }
 
-    const transferComplete = xmlUtils.node("cwmp:TransferComplete", {}, transferCompleteChildren);
-    let xml = createSoapDocument(requestId, transferComplete);
-    sendRequest(xml, function (xml) {
-      handleMethod(xml);
-    });
-    return;
-  }
+    // Ask the ACS for its supported methods once after booting
+    if (device._getRpcMethods) {
+      delete device._getRpcMethods;
+      let xml = createSoapDocument(requestId, xmlUtils.node("cwmp:GetRPCMethods", {}, ""));
+      this.sendRequest(xml, (xml) => {
+        logAcsRpcMethods(xml);
+        this.cpeRequest(xml);
+      });
+      return;
+    }
 
-  // Reject requests if device is unavailable (rebooting, etc.)
-  if (!acceptConnections) {
-    console.log(`Simulator is not accepting connections, waiting for ${timeout} milliseconds`);
-    // Respond with a TR-069 Fault code (e.g., 9002 "Internal error")
-    let faultBody = createFaultResponse(9002, "Device not ready to accept requests");
-    let xml = createSoapDocument(requestId, faultBody);
-    sendRequest(xml, function () {
-      // Session should end
-      httpAgent.destroy();
+    // Reject requests if device is unavailable (rebooting, etc.)
+    if (!this.acceptConnections) {
+      console.log(`Simulator is not accepting connections, waiting for ${this.timeout} milliseconds`);
+      // Respond with a TR-069 Fault code (e.g., 9002 "Internal error")
+      let faultBody = createFaultResponse(9002, "Device not ready to accept requests");
+      let xml = createSoapDocument(requestId, faultBody);
+      this.sendRequest(xml, () => {
+        // Session should end
+        this.httpAgent.destroy();
+      });
+      return;
+    }
+
+    // Normal flow - device is accepting connections
+    this.sendRequest(null, (xml) => {
+      this.handleMethod(xml);
     });
-    return;
   }
 
-  // Normal flow - device is accepting connections
-  sendRequest(null, function (xml) {
-    handleMethod(xml);
-  });
-}
+  handleMethod(xml) {
+    const device = this.device;
+    if (!xml) {
+      this.endRedirect();
+      this.httpAgent.destroy();
+      this.session = null;
+      device._retryCount = 0;
+      this.saveState();
+      this.checkStunConfig();
+      this.checkXmppConfig();
+      this.emit("sessionEnd", null);
+      // Stopped by a listener
+      if (this.stopped) return;
+
+      // Check if firmware reboot is pending AND we're ending a TransferComplete session
+      if (device._pendingReboot && device._firmwareUpgrade && device._transferCompleteSession) {
+        console.log(`🔄 TransferComplete session ended, initiating reboot for firmware upgrade`);
+        const { commandKey, eventCode } = device._firmwareUpgrade;
+        delete device._pendingReboot;
+        delete device._firmwareUpgrade;
+        delete device._transferCompleteSession;
+
+        const rebootTimeout = this.stopSession();
+        this.setTimer(() => {
+          console.log(`🚀 Device booting after firmware upgrade`);
+
+          // Update software version to simulate firmware change
+          this.updateParameter("Device.DeviceInfo.SoftwareVersion", "2.0.0-upgraded");
+          this.updateParameter("InternetGatewayDevice.DeviceInfo.SoftwareVersion", "2.0.0-upgraded");
+
+          this.startSession(["1 BOOT", { code: eventCode, commandKey: commandKey }]);
+        }, rebootTimeout);
+        return;
+      }
 
+      // Clear TransferComplete session flag if set (for non-firmware transfers)
+      if (device._transferCompleteSession) {
+        delete device._transferCompleteSession;
+      }
 
-function handleMethod(xml) {
-  if (!xml) {
-    httpAgent.destroy();
+      if (device._pendingFactoryReset) {
+        console.log(`🏭 Session ended, restoring factory defaults`);
+        this.factoryReset();
+
+        const resetTimeout = this.stopSession();
+        this.setTimer(() => {
+          this.startSession("0 BOOTSTRAP,1 BOOT");
+        }, resetTimeout);
+        return;
+      }
+
+      // Check for regular reboot (non-firmware)
+      if (device._pendingReboot) {
+        console.log(`🔄 Session ended, rebooting device`);
+        delete device._pendingReboot;
 
-    // Check if firmware reboot is pending AND we're ending a TransferComplete session
-    if (device._pendingReboot && device._firmwareUpgrade && device._transferCompleteSession) {
-      console.log(`🔄 TransferComplete session ended, initiating reboot for firmware upgrade`);
-      delete device._pendingReboot;
-      delete device._firmwareUpgrade;
-      delete device._transferCompleteSession;
+        const rebootTimeout = this.stopSession();
+        this.setTimer(() => {
+          this.startSession("1 BOOT,M Reboot");
+        }, rebootTimeout);
+        return;
+      }
 
-      const rebootTimeout = stopSession();
-      setTimeout(() => {
-        console.log(`🚀 Device booting after firmware upgrade`);
+      let informInterval = 10;
+      if (device["Device.ManagementServer.PeriodicInformInterval"])
+        informInterval = Number.parseInt(device["Device.ManagementServer.PeriodicInformInterval"][1], 10);
+      else if (device["InternetGatewayDevice.ManagementServer.PeriodicInformInterval"])
+        informInterval = Number.parseInt(device["InternetGatewayDevice.ManagementServer.PeriodicInformInterval"][1], 10);
 
-        // Update software version to simulate firmware change
-        updateParameter("Device.DeviceInfo.SoftwareVersion", "2.0.0-upgraded");
-        updateParameter("InternetGatewayDevice.DeviceInfo.SoftwareVersion", "2.0.0-upgraded");
+      this.nextInformTimeout = setTimeout(() => {
+        this.startSession(null); //3 SCHEDULED
+      }, this.pendingEvents.length ? 0 : 1000 * informInterval);
 
-        startSession("1 BOOT,M Download,4 VALUE CHANGE");
-      }, rebootTimeout);
       return;
     }
 
-    // Clear TransferComplete session flag if set (for non-firmware transfers)
-    if (device._transferCompleteSession) {
-      delete device._transferCompleteSession;
+    let [requestId, bodyElement] = getRequestIdAndBody(xml);
+
+    let requestElement;
+    for (let c of bodyElement.children) {
+      if (c.name.startsWith("cwmp:")) {
+        requestElement = c;
+        break;
+      }
     }
+    if (!requestElement) return this.sessionFailed(new Error("No RPC in the ACS request"));
 
-    // Check for regular reboot (non-firmware)
-    if (device._pendingReboot) {
-      console.log(`🔄 Session ended, rebooting device`);
-      delete device._pendingReboot;
+    let method = methods[requestElement.localName];
+    methods.appendLog(device, `RPC: ${requestElement.localName}`);
+    this.emit("rpc", requestElement.localName, elementToValue(requestElement));
 
-      const rebootTimeout = stopSession();
-      setTimeout(() => {
-        startSession("1 BOOT,M Reboot");
-      }, rebootTimeout);
+    if (!method) {
+      let body = createFaultResponse(9000, "Method not supported");
+      let xml = createSoapDocument(requestId, body);
+      this.sendRequest(xml, (xml) => {
+        this.handleMethod(xml);
+      });
       return;
     }
 
-    let informInterval = 10;
-    if (device["Device.ManagementServer.PeriodicInformInterval"])
-      informInterval = Number.parseInt(device["Device.ManagementServer.PeriodicInformInterval"][1], 10);
-    else if (device["InternetGatewayDevice.ManagementServer.PeriodicInformInterval"])
-      informInterval = Number.parseInt(device["InternetGatewayDevice.ManagementServer.PeriodicInformInterval"][1], 10);
+    let responded = false;
+    const respond = body => {
+      if (responded) return;
+      responded = true;
+      let xml = createSoapDocument(requestId, body);
+      this.sendRequest(xml, (xml) => {
+        this.handleMethod(xml);
+      });
+    };
+
+    // A malformed request must not take down the other devices of the process
+    try {
+      method(device, requestElement, respond);
+    } catch (err) {
+      console.error(`${requestElement.localName} failed: ${err.message}`);
+      respond(createFaultResponse(9002, `Internal error: ${err.message}`));
+    }
+  }
+
+  // Listen on a port of its own on the local address facing the ACS
+  listenForConnectionRequests(acsUrlOptions, callback) {
+    let ip;
+    let failed = false;
+    // Start a dummy socket to get the used local ip
+    let socket = net.createConnection({
+      port: acsUrlOptions.port,
+      host: acsUrlOptions.hostname,
+      family: 4
+    })
+      .on("error", err => {
+        failed = true;
+        callback(err);
+      })
+      .on("connect", () => {
+        ip = socket.address().address;
+        socket.end();
+      })
+      .on("close", () => {
+        // Also emitted after "error"
+        if (failed || this.stopped) return;
+        this.httpServer = require("http").createServer((_req, res) => {
+          if (!this.acceptConnections) {
+            console.log(`Simulator is rebooting, refusing connection request.`);
+            _req.socket.destroy(); // Immediately close the connection
+            return;
+          }
+          this.handleConnectionRequest(_req, res);
+          console.log(`Connection requests: ${JSON.stringify(this.connectionRequestStats)}`);
+        });
+
+        this.httpServer.on("error", callback);
+        this.httpServer.listen(0, ip, () => {
+          const port = this.httpServer.address().port;
+          const connectionRequestUrl = `http://${ip}:${port}${this.connectionRequestPath}`;
+          console.log(
+            `Simulator ${this.serialNumber} listening for connection requests on ${connectionRequestUrl}`
+          );
+          this.listenForUdpConnectionRequests(ip, port);
+          this.startXmpp();
+          if (this.acceptConnections) {
+            return callback(null, connectionRequestUrl);
+          }
+        });
+      });
+  }
+
+  handleConnectionRequest(req, res) {
+    const stats = this.connectionRequestStats;
+    if (req.method !== "GET") {
+      stats.invalid++;
+      res.writeHead(405, { "Allow": "GET" });
+      return res.end();
+    }
 
-    nextInformTimeout = setTimeout(function () {
-      startSession(null); //3 SCHEDULED
-    }, pendingInform ? 0 : 1000 * informInterval);
+    let pathname;
+    try {
+      pathname = new URL(req.url, "http://localhost").pathname;
+    } catch (err) {
+      // e.g. "//" is parsed as an empty host
+      stats.invalid++;
+      res.writeHead(400);
+      return res.end();
+    }
 
-    return;
+    if (pathname !== this.connectionRequestPath) {
+      stats.invalid++;
+      res.writeHead(404);
+      return res.end();
+    }
+
+    if (!this.authenticateConnectionRequest(req, res)) {
+      // Clients send credentials once challenged, only failed ones count
+      if (req.headers["authorization"]) {
+        console.log(`Simulator ${this.serialNumber} rejected connection request credentials`);
+        stats.unauthorized++;
+      } else {
+        console.log(`Simulator ${this.serialNumber} challenged connection request`);
+      }
+      return;
+    }
+
+    const rejection = this.checkConnectionRequestLimits();
+    if (rejection === "rateLimited") {
+      if (this.connectionRequestDrop) return req.socket.destroy();
+      const retryAfter = this.connectionRequestTimes[0] + connectionRequestWindowMs - Date.now();
+      res.writeHead(503, { "Retry-After": Math.ceil(retryAfter / 1000) });
+      return res.end();
+    } else if (rejection === "busy") {
+      res.writeHead(503);
+      return res.end();
+    }
+
+    res.writeHead(200, { "Content-Length": 0 });
+    res.end();
+    this.requestSession("6 CONNECTION REQUEST");
   }
 
-  let [requestId, bodyElement] = getRequestIdAndBody(xml);
+  // Count an authenticated connection request as accepted, or return why it
+  // is rejected
+  checkConnectionRequestLimits() {
+    const now = Date.now();
+    this.connectionRequestTimes = this.connectionRequestTimes.filter(t => now - t < connectionRequestWindowMs);
+    if (this.connectionRequestLimit && this.connectionRequestTimes.length >= this.connectionRequestLimit) {
+      console.log(`Simulator ${this.serialNumber} rate limited connection request`);
+      this.connectionRequestStats.rateLimited++;
+      return "rateLimited";
+    }
 
-  let requestElement;
-  for (let c of bodyElement.children) {
-    if (c.name.startsWith("cwmp:")) {
-      requestElement = c;
-      break;
+    // A session is ongoing when nextInformTimeout === null
+    if (this.nextInformTimeout === null) {
+      console.log(`Simulator ${this.serialNumber} is in a session, refusing connection request`);
+      this.connectionRequestStats.busy++;
+      return "busy";
     }
+
+    console.log(`Simulator ${this.serialNumber} got connection request`);
+    this.connectionRequestTimes.push(now);
+    this.connectionRequestStats.accepted++;
+    return null;
   }
-  let method = methods[requestElement.localName];
 
-  if (!method) {
-    let body = createFaultResponse(9000, "Method not supported");
-    let xml = createSoapDocument(requestId, body);
-    sendRequest(xml, function (xml) {
-      handleMethod(xml);
+  // Receive UDP connection requests and STUN responses on the same port
+  // number as the HTTP connection requests
+  listenForUdpConnectionRequests(ip, port) {
+    this.udpSocket = dgram.createSocket("udp4");
+    this.udpSocket.on("error", err => {
+      console.error(`UDP connection request socket error: ${err.message}`);
+    });
+    this.udpSocket.on("message", msg => {
+      if (stunClient.isStunMessage(msg)) return this.handleStunResponse(msg);
+      if (!this.acceptConnections) return;
+      this.handleUdpConnectionRequest(msg.toString());
+      console.log(`Connection requests: ${JSON.stringify(this.connectionRequestStats)}`);
+    });
+    this.udpSocket.bind(port, ip, () => {
+      this.udpLocalAddress = `${ip}:${port}`;
+      this.stunBinding();
     });
-    return;
   }
 
+  // UDP connection requests carry no response, invalid ones are ignored
+  handleUdpConnectionRequest(message) {
+    const match = /^GET (\S+) HTTP\/1\.1\r?\n/.exec(message);
+    if (!match) {
+      this.connectionRequestStats.invalid++;
+      return;
+    }
+
+    let params;
+    try {
+      params = new URL(match[1], "http://localhost").searchParams;
+    } catch (err) {
+      this.connectionRequestStats.invalid++;
+      return;
+    }
+
+    const ts = Number.parseInt(params.get("ts"), 10);
+    // Retransmissions of an accepted message carry the same id
+    if (params.get("id") === this.lastUdpConnectionRequest.id) return;
+    if (!(ts > this.lastUdpConnectionRequest.ts)) {
+      this.connectionRequestStats.invalid++;
+      return;
+    }
+
+    const [username, password] = getConnectionRequestCredentials(this.device);
+    if (params.get("un") !== username || !digestAuth.verifyUdpConnectionRequest(params, password)) {
+      console.log(`Simulator ${this.serialNumber} ignored UDP connection request with invalid signature`);
+      this.connectionRequestStats.unauthorized++;
+      return;
+    }
+
+    this.lastUdpConnectionRequest = { ts: ts, id: params.get("id") };
+    if (this.checkConnectionRequestLimits()) return;
+    this.requestSession("6 CONNECTION REQUEST");
+  }
 
-  method(device, requestElement, function (body) {
-    let xml = createSoapDocument(requestId, body);
-    sendRequest(xml, function (xml) {
-      handleMethod(xml);
+  // Send a Binding Request to the STUN server and schedule the next one
+  // according to the keep alive period. The parameters are checked every time
+  // as the ACS may change them.
+  stunBinding() {
+    if (this.stopped) return;
+    const device = this.device;
+    clearTimeout(this.stunTimer);
+    this.stunConfig = getStunConfig(device);
+
+    let keepAlive = Number.parseInt(getManagementServerValue(device, "STUNMinimumKeepAlivePeriod"), 10);
+    if (!(keepAlive > 0)) keepAlive = stunDefaultKeepAliveSeconds;
+    this.stunTimer = setTimeout(() => this.stunBinding(), keepAlive * 1000);
+
+    const serverAddress = getManagementServerValue(device, "STUNServerAddress") ||
+      (this.requestOptions ? this.requestOptions.hostname : "");
+    if (getManagementServerValue(device, "STUNEnable") !== "true" || !serverAddress) return;
+
+    const serverPort = Number.parseInt(getManagementServerValue(device, "STUNServerPort"), 10) || 3478;
+    this.stunTransactionId = crypto.randomBytes(12);
+    const msg = stunClient.createBindingRequest(this.stunTransactionId, {
+      username: getManagementServerValue(device, "STUNUsername"),
+      password: getManagementServerValue(device, "STUNPassword"),
+      bindingChange: this.stunBindingChanged
     });
-  });
-}
+    this.udpSocket.send(msg, serverPort, serverAddress, err => {
+      if (err) console.error(`STUN Binding Request failed: ${err.message}`);
+    });
+  }
 
-function listenForConnectionRequests(serialNumber, acsUrlOptions, callback) {
-  let ip, port;
-  // Start a dummy socket to get the used local ip
-  let socket = net.createConnection({
-    port: acsUrlOptions.port,
-    host: acsUrlOptions.hostname,
-    family: 4
-  })
-    .on("error", callback)
-    .on("connect", () => {
-      ip = socket.address().address;
-      port = socket.address().port + 1;
-      socket.end();
-    })
-    .on("close", () => {
-      const connectionRequestUrl = `http://${ip}:${port}/`;
-      const httpServer = http.createServer((_req, res) => {
-        if (!acceptConnections) {
-          console.log(`Simulator is rebooting, refusing connection request.`);
-          _req.socket.destroy(); // Immediately close the connection
-          return;
-        }
-        console.log(`Simulator ${serialNumber} got connection request`);
-        res.end();
-        // A session is ongoing when nextInformTimeout === null
-        if (nextInformTimeout === null) pendingInform = true;
-        else {
-          clearTimeout(nextInformTimeout);
-          nextInformTimeout = setTimeout(function () {
-            startSession("6 CONNECTION REQUEST");
-          }, 0);
-        }
-      });
+  // Start over with the binding when the ACS changed the STUN parameters
+  checkStunConfig() {
+    if (this.udpSocket && this.udpLocalAddress && getStunConfig(this.device) !== this.stunConfig)
+      this.stunBinding();
+  }
 
-      httpServer.listen(port, ip, err => {
-        if (err) return callback(err);
-        console.log(
-          `Simulator ${serialNumber} listening for connection requests on ${connectionRequestUrl}`
-        );
-        if (acceptConnections) {
-          return callback(null, connectionRequestUrl);
+  handleStunResponse(msg) {
+    if (!this.stunTransactionId || !stunClient.getTransactionId(msg).equals(this.stunTransactionId)) return;
+    this.stunTransactionId = null;
+    const response = stunClient.parseBindingResponse(msg);
+
+    if (response.type === stunClient.BINDING_ERROR_RESPONSE) {
+      console.error(`STUN Binding Request rejected with error ${response.errorCode}`);
+      return;
+    }
+    if (response.type !== stunClient.BINDING_RESPONSE || !response.mappedAddress) return;
+
+    const mappedAddress = `${response.mappedAddress.address}:${response.mappedAddress.port}`;
+    const udpAddressParam = getManagementServerParam(this.device, "UDPConnectionRequestAddress");
+    if (!udpAddressParam || this.device[udpAddressParam][1] === mappedAddress) {
+      // The server got the BINDING-CHANGE
+      this.stunBindingChanged = false;
+      return;
+    }
+
+    console.log(`STUN binding changed to ${mappedAddress}`);
+    this.updateParameter(udpAddressParam, mappedAddress);
+    const natDetectedParam = getManagementServerParam(this.device, "NATDetected");
+    if (natDetectedParam)
+      this.updateParameter(natDetectedParam, String(mappedAddress !== this.udpLocalAddress));
+
+    // Tell the STUN server right away, the ACS learns it through the Inform
+    this.stunBindingChanged = true;
+    this.stunBinding();
+  }
+
+  // Log into the XMPP server for connection requests, logging in again when
+  // the connection drops or the ACS changes its parameters
+  startXmpp() {
+    const device = this.device;
+    clearTimeout(this.xmppRetryTimer);
+    if (this.xmppConnection) this.xmppConnection.close();
+    this.xmppConnection = null;
+
+    const config = getXmppConfig(device);
+    this.xmppConfig = JSON.stringify(config && Object.assign({}, config, { resource: null }));
+    if (!config) return;
+    // Verified like the ACS, with --ca-cert and --insecure
+    config.tlsOptions = this.getTlsOptions();
+
+    const setStatus = status => {
+      if (device[`${config.connection}Status`]) dataModel.edit(device, `${config.connection}Status`)[1] = status;
+    };
+
+    const client = xmppClient.connect(config, stanza => this.handleXmppStanza(stanza), (err, jid) => {
+      if (err) {
+        console.error(`XMPP connection ${config.connection} failed: ${err.message}`);
+        setStatus("Error");
+        if (this.xmppConnection === client) {
+          this.xmppConnection = null;
+          this.xmppRetryTimer = setTimeout(() => this.startXmpp(), xmppRetryMs);
         }
-      });
+        return;
+      }
+
+      console.log(`Simulator ${this.serialNumber} logged into XMPP as ${jid}`);
+      setStatus("Enabled");
+      if (device[`${config.connection}JabberID`]) dataModel.edit(device, `${config.connection}JabberID`)[1] = jid;
+      const jabberIdParam = getManagementServerParam(device, "ConnReqJabberID");
+      if (jabberIdParam) this.updateParameter(jabberIdParam, jid);
     });
-}
+    this.xmppConnection = client;
+  }
 
-function start(dataModel, serialNumber, macAddress, acsUrl, defaultTimeout) {
-  timeout = defaultTimeout;
-  device = dataModel;
-  defaultDeviceValue = dataModel;
-
-  // Clean up any temporary state flags from previous runs
-  // These flags are used for async operations and should not persist across restarts
-  delete device._pendingReboot;
-  delete device._firmwareUpgrade;
-  delete device._transferCompleteSession;
-  delete device._downloadInProgress;
-  device._activeDownloadRequest = null;
-  device._digestParams = null;
-  device._nonceCount = 0;
-  device._cookie = null;
-
-  if (device["DeviceID.SerialNumber"])
-    device["DeviceID.SerialNumber"][1] = serialNumber;
-  if (device["Device.DeviceInfo.SerialNumber"])
-    device["Device.DeviceInfo.SerialNumber"][1] = serialNumber;
-  if (device["InternetGatewayDevice.DeviceInfo.SerialNumber"])
-    device["InternetGatewayDevice.DeviceInfo.SerialNumber"][1] = serialNumber;
-
-  if (device["InternetGatewayDevice.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress"])
-    device["InternetGatewayDevice.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress"][1] = macAddress;
-  if (device["Device.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress"])
-    device["Device.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress"][1] = macAddress;
+  checkXmppConfig() {
+    const config = getXmppConfig(this.device);
+    if (JSON.stringify(config && Object.assign({}, config, { resource: null })) !== this.xmppConfig)
+      this.startXmpp();
+  }
 
-  device._username = "usertest";
-  device._password = "passtest";
-  if (device["Device.ManagementServer.Username"]) {
-    device._username = device["Device.ManagementServer.Username"][1];
-    device._password = device["Device.ManagementServer.Password"][1];
-  } else if (device["InternetGatewayDevice.ManagementServer.Username"]) {
-    device._username = device["InternetGatewayDevice.ManagementServer.Username"][1];
-    device._password = device["InternetGatewayDevice.ManagementServer.Password"][1];
+  handleXmppStanza(stanza) {
+    const serialNumber = this.serialNumber;
+    if (stanza.localName !== "iq") return;
+    const type = xmppClient.getAttr(stanza, "type");
+    if (type !== "get" && type !== "set") return;
+
+    const from = xmppClient.getAttr(stanza, "from");
+    const request = stanza.children[0];
+    const reply = (replyType, body) => {
+      this.xmppConnection.send(xmlUtils.node("iq", {
+        type: replyType,
+        id: xmlParser.encodeEntities(xmppClient.getAttr(stanza, "id")),
+        to: xmlParser.encodeEntities(from)
+      }, body));
+    };
+
+    if (!request || request.localName !== "connectionRequest" ||
+      xmppClient.getAttr(request, "xmlns") !== NS_XMPP_CONN_REQ)
+      return reply("error", xmppClient.createError("cancel", "service-unavailable"));
+
+    if (!this.acceptConnections)
+      return reply("error", xmppClient.createError("cancel", "service-unavailable"));
+
+    const allowed = getManagementServerValue(this.device, "ConnReqAllowedJabberIDs").split(",")
+      .map(j => j.trim()).filter(j => j);
+    const [username, password] = getConnectionRequestCredentials(this.device);
+    const value = name => {
+      const c = request.children.find(c => c.localName === name);
+      return c ? xmlParser.decodeEntities(c.text) : "";
+    };
+    if ((allowed.length && !allowed.includes(from) && !allowed.includes(from.split("/")[0])) ||
+      value("username") !== username || value("password") !== password) {
+      console.log(`Simulator ${serialNumber} rejected XMPP connection request from ${from}`);
+      this.connectionRequestStats.unauthorized++;
+      return reply("error", xmppClient.createError("cancel", "not-authorized"));
+    }
+
+    if (this.checkConnectionRequestLimits())
+      return reply("error", xmppClient.createError("cancel", "service-unavailable"));
+
+    reply("result", "");
+    this.requestSession("6 CONNECTION REQUEST");
+    console.log(`Connection requests: ${JSON.stringify(this.connectionRequestStats)}`);
   }
 
-  // requestOptions = require("url").parse(acsUrl);
-  const parsedUrl = new URL(acsUrl);
-  requestOptions = {
-    protocol: parsedUrl.protocol,
-    hostname: parsedUrl.hostname,
-    port: parsedUrl.port,
-    // path: parsedUrl.pathname,
-    path: parsedUrl.pathname + parsedUrl.search,
-    href: parsedUrl.href
-  };
-  // console.log('requestOptions', requestOptions);
-  // console.log('requestOptions', require("url").parse(acsUrl));
-  http = requestOptions.protocol.slice(0, -1) == 'http' ? require('http') : require('https');
+  getConnectionRequestStats() {
+    return Object.assign({}, this.connectionRequestStats);
+  }
 
-  httpAgent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+  // Check the credentials of a connection request, answering with a 401
+  // challenge if they are missing or wrong. No credentials configured in the
+  // data model means no authentication.
+  authenticateConnectionRequest(req, res) {
+    const [username, password] = getConnectionRequestCredentials(this.device);
+    if (this.connectionRequestAuth === "none" || !username) return true;
+
+    const authHeader = req.headers["authorization"] || "";
+
+    if (this.connectionRequestAuth === "basic") {
+      if (/^basic\s/i.test(authHeader) && digestAuth.verifyBasicAuth(authHeader, username, password))
+        return true;
+      res.writeHead(401, { "WWW-Authenticate": `Basic realm="${CONNECTION_REQUEST_REALM}"` });
+      res.end();
+      return false;
+    }
 
-  listenForConnectionRequests(serialNumber, requestOptions, (err, connectionRequestUrl) => {
-    if (err) throw err;
-    if (device["InternetGatewayDevice.ManagementServer.ConnectionRequestURL"]) {
-      device["InternetGatewayDevice.ManagementServer.ConnectionRequestURL"][1] = connectionRequestUrl;
-    } else if (device["Device.ManagementServer.ConnectionRequestURL"]) {
-      device["Device.ManagementServer.ConnectionRequestURL"][1] = connectionRequestUrl;
+    const nonces = this.connectionRequestNonces;
+    const now = Date.now();
+    let stale = false;
+    if (/^digest\s/i.test(authHeader)) {
+      const authParams = digestAuth.parseDigestHeader(authHeader);
+      const nonce = nonces.get(authParams.nonce);
+      const nc = Number.parseInt(authParams.nc || "0", 16);
+      if (nonce && now - nonce.created > nonceLifetimeMs) {
+        stale = true;
+      } else if (nonce && authParams.uri === req.url && (!authParams.qop || nc > nonce.nc) &&
+        digestAuth.verifyDigestAuth(authParams, req.method, username, password)) {
+        // A nonce count can only be used once
+        nonce.nc = nc;
+        return true;
+      }
     }
-    startSession("1 BOOT");
-  });
-}
 
-function stopSession() {
-  acceptConnections = false;
-  console.log(`Simulator Stopped listening for requests for ${timeout}`);
-  setTimeout(() => {
-    acceptConnections = true;
-    console.log(`Simulator resumed listening.`);
-  }, timeout);
-  return timeout;
-}
+    for (let [n, nonce] of nonces) {
+      if (now - nonce.created > nonceLifetimeMs) nonces.delete(n);
+    }
+    const nonce = crypto.randomBytes(16).toString("hex");
+    nonces.set(nonce, { created: now, nc: 0 });
 
-function updateParameter(parameter, value) {
-  // Check if device is initialized
-  if (!device) {
-    console.error(`❌ Cannot update parameter: device not initialized`);
-    return;
+    res.writeHead(401, {
+      "WWW-Authenticate": digestAuth.createDigestChallenge(CONNECTION_REQUEST_REALM, nonce, stale)
+    });
+    res.end();
+    return false;
   }
 
-  if (device[parameter]) {
-    device[parameter][1] = value;
-    console.log(`📝 Updated ${parameter} = ${value}`);
-  } else {
-    console.warn(`⚠️ Parameter ${parameter} does not exist in device model`);
+  // Back to the ACS URL once a redirected session is over
+  endRedirect() {
+    if (this.session && this.session.redirected) {
+      this.session.redirected = false;
+      this.setAcsUrl(getAcsUrl(this.device));
+    }
   }
-}
 
-function getRequestIdAndBody(xml) {
-  let headerElement, bodyElement;
-  let envelope = xml.children[0];
-  for (const c of envelope.children) {
-    switch (c.localName) {
-      case "Header":
-        headerElement = c;
-        break;
-      case "Body":
-        bodyElement = c;
-        break;
+  setAcsUrl(acsUrl) {
+    const device = this.device;
+    const parsedUrl = new URL(acsUrl);
+    const requestOptions = {
+      protocol: parsedUrl.protocol,
+      hostname: parsedUrl.hostname,
+      port: parsedUrl.port,
+      // path: parsedUrl.pathname,
+      path: parsedUrl.pathname + parsedUrl.search,
+      href: parsedUrl.href
+    };
+    this.requestOptions = requestOptions;
+    this.http = requestOptions.protocol.slice(0, -1) == 'http' ? require('http') : require('https');
+
+    if (this.httpAgent) this.httpAgent.destroy();
+    let agentOptions = { keepAlive: true, maxSockets: 1 };
+    if (requestOptions.protocol === "https:") Object.assign(agentOptions, this.tlsOptions);
+    this.acsProxyUrl = this.getProxyUrl(acsUrl);
+    if (this.acsProxyUrl && requestOptions.protocol === "https:")
+      this.httpAgent = proxy.createTunnelAgent(this.acsProxyUrl, agentOptions);
+    else
+      this.httpAgent = new this.http.Agent(agentOptions);
+    device._digestParams = null;
+    device._nonceCount = 0;
+    device._cookie = null;
+  }
+
+  // Client certificate and key filenames may contain {serial} to use a
+  // certificate per device
+  loadTlsOptions() {
+    const options = this.options;
+    const readFile = pattern => fs.readFileSync(pattern.replace(/\{serial\}/g, this.serialNumber));
+    this.tlsOptions = {};
+    if (options.caCert) this.tlsOptions.ca = readFile(options.caCert);
+    if (options.clientCert) this.tlsOptions.cert = readFile(options.clientCert);
+    if (options.clientKey) this.tlsOptions.key = readFile(options.clientKey);
+    if (options.insecure) this.tlsOptions.rejectUnauthorized = false;
+  }
+
+  // TLS settings for the HTTPS connections made on behalf of the ACS
+  // (downloads and uploads)
+  getTlsOptions() {
+    return this.tlsOptions;
+  }
+
+  getProxyUrl(url) {
+    return proxy.getProxyUrl(url, this.proxyOverride);
+  }
+
+  loadState() {
+    const stateFile = this.stateFile;
+    if (!stateFile || !fs.existsSync(stateFile)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(stateFile));
+    } catch (err) {
+      console.error(`Failed to load device state from ${stateFile}: ${err.message}`);
+      return null;
     }
   }
 
-  let requestId;
-  for (let c of headerElement.children) {
-    if (c.localName === "ID") {
-      requestId = xmlParser.decodeEntities(c.text);
-      break;
+  // Save the data model along with undelivered events and reports, written to
+  // a temporary file first so a crash never leaves a truncated state behind
+  saveState() {
+    // Aborted transfers of a stopped device are not to be saved
+    if (!this.stateFile || this.stopped || this.saveStateTimer) return;
+    this.saveStateTimer = setTimeout(() => this.writeState(), saveStateDelayMs);
+    // Written on exit otherwise
+    this.saveStateTimer.unref();
+  }
+
+  writeState() {
+    const stateFile = this.stateFile;
+    clearTimeout(this.saveStateTimer);
+    this.saveStateTimer = null;
+    if (!stateFile || this.stopped) return;
+
+    const device = this.device;
+    const session = this.session;
+
+    let events = this.pendingEvents;
+    let changedParameters = device._changedParameters || [];
+    if (session) {
+      events = methods.mergeEvents(session.events, this.pendingEvents);
+      changedParameters = session.changedParameters.concat(
+        changedParameters.filter(p => !session.changedParameters.includes(p))
+      );
+    }
+
+    const state = Object.assign({
+      acsUrl: device._startAcsUrl,
+      bootstrapUrl: device._bootstrapUrl || null,
+      events: events,
+      changedParameters: changedParameters,
+      // Only what the device changed, the template is loaded again
+      changes: dataModel.getChanges(device)
+    }, methods.exportTransferState(device, session));
+
+    try {
+      fs.writeFileSync(`${stateFile}.tmp`, JSON.stringify(state));
+      fs.renameSync(`${stateFile}.tmp`, stateFile);
+    } catch (err) {
+      console.error(`Failed to save device state to ${stateFile}: ${err.message}`);
     }
   }
-  return [requestId, bodyElement];
+
+  // Restore the template data model in place, keeping the device identity,
+  // and drop everything the device accumulated since, saved state included
+  factoryReset() {
+    const device = this.device;
+    const identity = IDENTITY_PARAMS.filter(p => device[p]).map(p => [p, device[p][1]]);
+
+    methods.clearTransfers(device);
+    let runtime = {};
+    for (let p of RUNTIME_PROPS) runtime[p] = device[p];
+    dataModel.reset(device);
+    Object.assign(device, runtime);
+    for (let [p, value] of identity) {
+      if (device[p]) dataModel.edit(device, p)[1] = value;
+    }
+
+    this.pendingEvents = [];
+    resetAcsUrl(device);
+    loadCredentials(device);
+    this.setAcsUrl(getAcsUrl(device));
+
+    clearTimeout(this.saveStateTimer);
+    this.saveStateTimer = null;
+    if (this.stateFile && fs.existsSync(this.stateFile)) fs.unlinkSync(this.stateFile);
+  }
+
+  // Restore the saved state and apply the identity and settings of the
+  // device, without contacting the ACS yet
+  init() {
+    const options = this.options;
+    const serialNumber = this.serialNumber;
+    const macAddress = this.macAddress;
+    const acsUrl = this.startAcsUrl;
+
+    let state = null;
+    if (options.stateDir) {
+      fs.mkdirSync(options.stateDir, { recursive: true });
+      this.stateFile = path.join(options.stateDir, `${serialNumber}.json`);
+      state = this.loadState();
+    }
+
+    if (state) {
+      console.log(`Simulator ${serialNumber} restored state from ${this.stateFile}`);
+      this.device = dataModel.create(dataModel.getTemplate(this.device), state.changes);
+    }
+
+    const device = this.device;
+    device._simulator = this;
+    methods.initTransfers(device);
+    if (state) {
+      device._bootstrapUrl = state.bootstrapUrl;
+      device._changedParameters = state.changedParameters || [];
+      this.pendingEvents = methods.parseEvents(state.events);
+      methods.importTransferState(device, state);
+    }
+
+    // Clean up any temporary state flags from previous runs
+    // These flags are used for async operations and should not persist across restarts
+    delete device._pendingReboot;
+    delete device._firmwareUpgrade;
+    delete device._transferCompleteSession;
+    device._getRpcMethods = !!options.getRpcMethods;
+
+    // The URL given on start replaces ManagementServer.URL, unless the ACS
+    // changed it since that URL was last given
+    device._startAcsUrl = acsUrl;
+    if (!state || state.acsUrl !== acsUrl) resetAcsUrl(device);
+
+    if (device["DeviceID.SerialNumber"])
+      dataModel.edit(device, "DeviceID.SerialNumber")[1] = serialNumber;
+    if (device["Device.DeviceInfo.SerialNumber"])
+      dataModel.edit(device, "Device.DeviceInfo.SerialNumber")[1] = serialNumber;
+    if (device["InternetGatewayDevice.DeviceInfo.SerialNumber"])
+      dataModel.edit(device, "InternetGatewayDevice.DeviceInfo.SerialNumber")[1] = serialNumber;
+
+    if (device["InternetGatewayDevice.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress"])
+      dataModel.edit(device, "InternetGatewayDevice.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress")[1] = macAddress;
+    if (device["Device.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress"])
+      dataModel.edit(device, "Device.WANDevice.1.WANConnectionDevice.1.WANIPConnection.1.MACAddress")[1] = macAddress;
+
+    loadCredentials(device);
+    this.loadTlsOptions();
+    this.setAcsUrl(getAcsUrl(device));
+    if (this.stateFile) statefulDevices.add(this);
+  }
+
+  start() {
+    this.init();
+    const device = this.device;
+
+    // The local address is the one facing the proxy when there is one
+    const routeOptions = this.acsProxyUrl ?
+      { hostname: this.acsProxyUrl.hostname, port: this.acsProxyUrl.port || 80 } : this.requestOptions;
+    this.listenForConnectionRequests(routeOptions, (err, connectionRequestUrl) => {
+      // Thrown if nothing listens for errors
+      if (err) return this.emit("error", err);
+      if (device["InternetGatewayDevice.ManagementServer.ConnectionRequestURL"]) {
+        dataModel.edit(device, "InternetGatewayDevice.ManagementServer.ConnectionRequestURL")[1] = connectionRequestUrl;
+      } else if (device["Device.ManagementServer.ConnectionRequestURL"]) {
+        dataModel.edit(device, "Device.ManagementServer.ConnectionRequestURL")[1] = connectionRequestUrl;
+      }
+      this.startSession("1 BOOT");
+      this.countTraffic();
+    });
+  }
+
+  // Simulated traffic: increment the byte and packet counters every
+  // counterInterval seconds, as value changes of the device itself
+  countTraffic() {
+    const interval = this.options.counterInterval;
+    if (!(interval > 0)) return;
+    this.setTimer(() => {
+      const device = this.device;
+      if (this.acceptConnections) {
+        for (let p of Object.keys(device).filter(k => COUNTER_PATTERN.test(k))) {
+          const increment = Math.floor(Math.random() * (p.includes(".Bytes") ? 100000 : 100));
+          dataModel.edit(device, p)[1] = String(((Number.parseInt(device[p][1], 10) || 0) + increment) % 4294967296);
+          this.notifyValueChange(p);
+        }
+      }
+      this.countTraffic();
+    }, interval * 1000);
+  }
+
+  stopSession() {
+    this.acceptConnections = false;
+    console.log(`Simulator Stopped listening for requests for ${this.timeout}`);
+    this.setTimer(() => {
+      this.acceptConnections = true;
+      console.log(`Simulator resumed listening.`);
+    }, this.timeout);
+    return this.timeout;
+  }
+
+  // Stop simulating the device: close its sockets, abort its transfers and
+  // cancel its timers. The saved state is kept so the device resumes from it
+  // when started again. The callback is called once the sockets are closed.
+  stop(callback) {
+    if (this.stopped) {
+      if (callback) process.nextTick(callback);
+      return;
+    }
+    this.writeState();
+    this.stopped = true;
+    this.session = null;
+    // Transfers are set up on init
+    if (this.device._transfers) methods.clearTransfers(this.device);
+    clearTimeout(this.nextInformTimeout);
+    clearTimeout(this.stunTimer);
+    clearTimeout(this.xmppRetryTimer);
+    for (let timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+
+    let pending = 1;
+    const closed = () => {
+      if (--pending === 0 && callback) callback();
+    };
+    if (this.httpServer) {
+      pending++;
+      this.httpServer.close(closed);
+      // Keep-alive connections would hold the server open
+      if (this.httpServer.closeAllConnections) this.httpServer.closeAllConnections();
+    }
+    if (this.udpSocket) {
+      pending++;
+      this.udpSocket.close(closed);
+    }
+    if (this.xmppConnection) this.xmppConnection.close();
+    this.xmppConnection = null;
+    if (this.httpAgent) this.httpAgent.destroy();
+    statefulDevices.delete(this);
+    console.log(`Simulator ${this.serialNumber} stopped`);
+    closed();
+  }
+
+  getStatus() {
+    const device = this.device;
+    let state = "idle";
+    if (this.stopped) state = "stopped";
+    else if (this.session) state = "session";
+    else if (!this.acceptConnections) state = "offline";
+    // Booting, or waiting for the session of a connection request
+    else if (this.nextInformTimeout === null) state = "starting";
+
+    const connectionRequestUrl = getManagementServerValue(device, "ConnectionRequestURL");
+    return {
+      serialNumber: this.serialNumber,
+      macAddress: this.macAddress,
+      state: state,
+      acsUrl: getAcsUrl(device),
+      connectionRequestUrl: connectionRequestUrl,
+      pendingEvents: methods.mergeEvents(this.session ? this.session.events : [], this.pendingEvents)
+        .map(e => e.code),
+      retryCount: device._retryCount || 0,
+      connectionRequests: this.getConnectionRequestStats()
+    };
+  }
+
+  updateParameter(parameter, value) {
+    const device = this.device;
+    if (device[parameter]) {
+      let changed = device[parameter][1] !== value;
+      dataModel.edit(device, parameter)[1] = value;
+      console.log(`📝 Updated ${parameter} = ${value}`);
+      if (changed) this.notifyValueChange(parameter);
+    } else {
+      console.warn(`⚠️ Parameter ${parameter} does not exist in device model`);
+    }
+  }
+
+  // Queue a changed parameter for the next Inform according to its
+  // notification attribute. Active notification triggers a session
+  // immediately.
+  notifyValueChange(parameter) {
+    const device = this.device;
+    let notification = methods.getParameterAttributes(device, parameter).notification;
+    if (!notification) return;
+
+    if (!device._changedParameters) device._changedParameters = [];
+    if (!device._changedParameters.includes(parameter))
+      device._changedParameters.push(parameter);
+
+    if (notification === 2) {
+      console.log(`🔔 Active notification for ${parameter}, requesting session`);
+      this.requestSession("4 VALUE CHANGE");
+    }
+  }
+}
+
+// Create and start a device
+function start(dataModel, serialNumber, macAddress, acsUrl, defaultTimeout, options = {}) {
+  const device = new Device(dataModel, serialNumber, macAddress, acsUrl, defaultTimeout, options);
+  device.start();
+  return device;
 }
 
+exports.Device = Device;
 exports.start = start;
-exports.startSession = startSession;
-exports.stopSession = stopSession;
-exports.updateParameter = updateParameter;
\ No newline at end of file
@@ -0,0 +1,154 @@
+"use strict";
+
+const crypto = require("crypto");
+
+const BINDING_REQUEST = 0x0001;
+const BINDING_RESPONSE = 0x0101;
+const BINDING_ERROR_RESPONSE = 0x0111;
+
+const MAGIC_COOKIE = 0x2112a442;
+
+const ATTR_MAPPED_ADDRESS = 0x0001;
+const ATTR_USERNAME = 0x0006;
+const ATTR_MESSAGE_INTEGRITY = 0x0008;
+const ATTR_ERROR_CODE = 0x0009;
+const ATTR_XOR_MAPPED_ADDRESS = 0x0020;
+const ATTR_XOR_MAPPED_ADDRESS_OLD = 0x8020;
+// TR-111 Annex G attributes
+const ATTR_CONNECTION_REQUEST_BINDING = 0xc001;
+const ATTR_BINDING_CHANGE = 0xc002;
+
+const CONNECTION_REQUEST_BINDING = "dslforum.org/TR-111 ";
+
+/**
+ * Encode a STUN attribute, padded to a multiple of 4 bytes
+ * @param {number} type - Attribute type
+ * @param {Buffer} value - Attribute value
+ * @returns {Buffer} Encoded attribute
+ */
+function encodeAttribute(type, value) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(value.length, 2);
+  const padding = Buffer.alloc((4 - value.length % 4) % 4);
+  return Buffer.concat([header, value, padding]);
+}
+
+/**
+ * Create a TR-111 Binding Request
+ * @param {Buffer} transactionId - 12 bytes transaction ID
+ * @param {object} options - username and password for STUNUsername and
+ * STUNPassword, bindingChange to include the BINDING-CHANGE attribute
+ * @returns {Buffer} Encoded message
+ */
+function createBindingRequest(transactionId, options = {}) {
+  let attributes = [
+    encodeAttribute(ATTR_CONNECTION_REQUEST_BINDING, Buffer.from(CONNECTION_REQUEST_BINDING))
+  ];
+  if (options.bindingChange)
+    attributes.push(encodeAttribute(ATTR_BINDING_CHANGE, Buffer.alloc(0)));
+  if (options.username)
+    attributes.push(encodeAttribute(ATTR_USERNAME, Buffer.from(options.username)));
+
+  let body = Buffer.concat(attributes);
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(BINDING_REQUEST, 0);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+
+  if (options.username && options.password) {
+    // The HMAC covers the message with its length already counting the
+    // MESSAGE-INTEGRITY attribute
+    header.writeUInt16BE(body.length + 24, 2);
+    const hmac = crypto.createHmac("sha1", options.password)
+      .update(Buffer.concat([header, body]))
+      .digest();
+    body = Buffer.concat([body, encodeAttribute(ATTR_MESSAGE_INTEGRITY, hmac)]);
+  }
+
+  header.writeUInt16BE(body.length, 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Check whether a datagram looks like a STUN message
+ * @param {Buffer} msg - Received datagram
+ * @returns {boolean} True for STUN messages
+ */
+function isStunMessage(msg) {
+  return msg.length >= 20 && (msg[0] & 0xc0) === 0 && msg.readUInt16BE(2) + 20 === msg.length;
+}
+
+/**
+ * Decode a (XOR-)MAPPED-ADDRESS attribute value
+ * @param {Buffer} value - Attribute value
+ * @param {boolean} xor - Whether the address is XOR'ed with the magic cookie
+ * @returns {object} address and port
+ */
+function decodeAddress(value, xor) {
+  // Only IPv4 addresses
+  if (value.length < 8 || value[1] !== 0x01) return null;
+  let port = value.readUInt16BE(2);
+  let address = value.readUInt32BE(4);
+  if (xor) {
+    port ^= MAGIC_COOKIE >>> 16;
+    address = (address ^ MAGIC_COOKIE) >>> 0;
+  }
+  return {
+    address: [24, 16, 8, 0].map(s => (address >>> s) & 0xff).join("."),
+    port: port
+  };
+}
+
+/**
+ * Get the transaction ID of a STUN message, to match it with the request
+ * before parsing the rest of it
+ * @param {Buffer} msg - Received STUN message
+ * @returns {Buffer} 12 bytes transaction ID
+ */
+function getTransactionId(msg) {
+  return msg.slice(8, 20);
+}
+
+/**
+ * Parse a Binding Response
+ * @param {Buffer} msg - Received STUN message
+ * @returns {object} type, transactionId, mappedAddress if present and
+ * errorCode for error responses
+ */
+function parseBindingResponse(msg) {
+  const result = {
+    type: msg.readUInt16BE(0),
+    transactionId: getTransactionId(msg),
+    mappedAddress: null,
+    errorCode: null
+  };
+
+  let offset = 20;
+  while (offset + 4 <= msg.length) {
+    const type = msg.readUInt16BE(offset);
+    const length = msg.readUInt16BE(offset + 2);
+    // Ignore the rest of a malformed message
+    if (offset + 4 + length > msg.length) break;
+    const value = msg.slice(offset + 4, offset + 4 + length);
+    offset += 4 + length + (4 - length % 4) % 4;
+
+    if (type === ATTR_XOR_MAPPED_ADDRESS || type === ATTR_XOR_MAPPED_ADDRESS_OLD)
+      result.mappedAddress = decodeAddress(value, true);
+    else if (type === ATTR_MAPPED_ADDRESS && !result.mappedAddress)
+      result.mappedAddress = decodeAddress(value, false);
+    else if (type === ATTR_ERROR_CODE && value.length >= 4)
+      result.errorCode = value[2] * 100 + value[3];
+  }
+
+  return result;
+}
+
+module.exports = {
+  BINDING_RESPONSE,
+  BINDING_ERROR_RESPONSE,
+  createBindingRequest,
+  isStunMessage,
+  getTransactionId,
+  parseBindingResponse
+};
@@ -0,0 +1,252 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("assert");
+const crypto = require("crypto");
+const dgram = require("dgram");
+const http = require("http");
+const digestAuth = require("../service-auth");
+const { createDeviceModel, startAcs, startDevice, getEventCodes } = require("./fixtures");
+
+function get(url, headers, callback) {
+  http.get(url, { headers: headers }, res => {
+    res.resume();
+    res.on("end", () => callback(res));
+  });
+}
+
+// Answer the digest challenge of a first request with the given credentials
+function getWithDigest(url, username, password, callback) {
+  get(url, {}, res => {
+    assert.strictEqual(res.statusCode, 401);
+    const challenge = digestAuth.parseDigestHeader(res.headers["www-authenticate"]);
+    const authorization = digestAuth.generateDigestAuth(username, password, "GET", new URL(url).pathname, challenge, 1);
+    get(url, { Authorization: authorization }, res => callback(res, authorization));
+  });
+}
+
+function getConnectionRequestUrl(device) {
+  return device.device["Device.ManagementServer.ConnectionRequestURL"][1];
+}
+
+describe("connection request authentication", () => {
+  let acs;
+  let device;
+
+  beforeEach((t, done) => {
+    acs = startAcs(() => done());
+  });
+
+  afterEach((t, done) => {
+    device.stop(() => acs.close(done));
+  });
+
+  it("challenges requests without credentials and starts a session for the digest answer", (t, done) => {
+    device = startDevice(acs, {}, err => {
+      assert.ifError(err);
+      getWithDigest(getConnectionRequestUrl(device), "cruser", "crpass", res => {
+        assert.strictEqual(res.statusCode, 200);
+        acs.once("message", inform => {
+          assert.deepStrictEqual(getEventCodes(inform), ["6 CONNECTION REQUEST"]);
+          assert.deepStrictEqual(device.getConnectionRequestStats(),
+            { accepted: 1, unauthorized: 0, rateLimited: 0, busy: 0, invalid: 0 });
+          done();
+        });
+      });
+    });
+  });
+
+  it("rejects wrong passwords and reused nonce counts", (t, done) => {
+    device = startDevice(acs, {}, err => {
+      assert.ifError(err);
+      const url = getConnectionRequestUrl(device);
+      getWithDigest(url, "cruser", "other", res => {
+        assert.strictEqual(res.statusCode, 401);
+        getWithDigest(url, "cruser", "crpass", (res, authorization) => {
+          assert.strictEqual(res.statusCode, 200);
+          // Replayed once the session is over
+          device.once("sessionEnd", () => {
+            get(url, { Authorization: authorization }, res => {
+              assert.strictEqual(res.statusCode, 401);
+              assert.strictEqual(device.getConnectionRequestStats().unauthorized, 2);
+              assert.strictEqual(device.getConnectionRequestStats().accepted, 1);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("requires basic credentials in basic mode", (t, done) => {
+    device = startDevice(acs, { connectionRequestAuth: "basic" }, err => {
+      assert.ifError(err);
+      const url = getConnectionRequestUrl(device);
+      get(url, {}, res => {
+        assert.strictEqual(res.statusCode, 401);
+        assert.match(res.headers["www-authenticate"], /^Basic realm=/);
+        const authorization = `Basic ${Buffer.from("cruser:crpass").toString("base64")}`;
+        get(url, { Authorization: authorization }, res => {
+          assert.strictEqual(res.statusCode, 200);
+          done();
+        });
+      });
+    });
+  });
+
+  it("accepts any request without a username", (t, done) => {
+    const model = createDeviceModel();
+    model["Device.ManagementServer.ConnectionRequestUsername"] = [true, "", "xsd:string"];
+    device = startDevice(acs, { model: model }, err => {
+      assert.ifError(err);
+      get(getConnectionRequestUrl(device), {}, res => {
+        assert.strictEqual(res.statusCode, 200);
+        done();
+      });
+    });
+  });
+});
+
+describe("connection request limits", () => {
+  let acs;
+  let device;
+
+  beforeEach((t, done) => {
+    acs = startAcs(() => done());
+  });
+
+  afterEach((t, done) => {
+    device.stop(() => acs.close(done));
+  });
+
+  it("answers other methods and paths with 405, 404 and 400", (t, done) => {
+    device = startDevice(acs, { connectionRequestAuth: "none", connectionRequestPath: "cr" }, err => {
+      assert.ifError(err);
+      const url = new URL(getConnectionRequestUrl(device));
+      assert.strictEqual(url.pathname, "/cr");
+      const request = (method, path, callback) => {
+        http.request({ host: url.hostname, port: url.port, method: method, path: path }, res => {
+          res.resume();
+          res.on("end", () => callback(res));
+        }).end();
+      };
+      request("POST", "/cr", res => {
+        assert.strictEqual(res.statusCode, 405);
+        assert.strictEqual(res.headers["allow"], "GET");
+        request("GET", "/", res => {
+          assert.strictEqual(res.statusCode, 404);
+          request("GET", "//", res => {
+            assert.strictEqual(res.statusCode, 400);
+            assert.strictEqual(device.getConnectionRequestStats().invalid, 3);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it("answers 503 during a session", (t, done) => {
+    device = startDevice(acs, { connectionRequestAuth: "none" }, err => {
+      assert.ifError(err);
+      const url = getConnectionRequestUrl(device);
+      get(url, {}, res => {
+        assert.strictEqual(res.statusCode, 200);
+        // The Inform of the connection request session
+        acs.once("message", () => {
+          get(url, {}, res => {
+            assert.strictEqual(res.statusCode, 503);
+            assert.strictEqual(res.headers["retry-after"], undefined);
+            assert.strictEqual(device.getConnectionRequestStats().busy, 1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it("answers 503 with Retry-After beyond the limit per minute", (t, done) => {
+    device = startDevice(acs, { connectionRequestAuth: "none", connectionRequestLimit: 1 }, err => {
+      assert.ifError(err);
+      const url = getConnectionRequestUrl(device);
+      get(url, {}, res => {
+        assert.strictEqual(res.statusCode, 200);
+        device.once("sessionEnd", () => {
+          get(url, {}, res => {
+            assert.strictEqual(res.statusCode, 503);
+            const retryAfter = Number(res.headers["retry-after"]);
+            assert.ok(retryAfter > 55 && retryAfter <= 60, `Retry-After: ${retryAfter}`);
+            assert.strictEqual(device.getConnectionRequestStats().rateLimited, 1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it("drops rate limited requests without an answer when asked to", (t, done) => {
+    const options = { connectionRequestAuth: "none", connectionRequestLimit: 1, connectionRequestDrop: true };
+    device = startDevice(acs, options, err => {
+      assert.ifError(err);
+      const url = getConnectionRequestUrl(device);
+      get(url, {}, res => {
+        assert.strictEqual(res.statusCode, 200);
+        device.once("sessionEnd", () => {
+          http.get(url, () => assert.fail("rate limited request answered"))
+            .on("error", err => {
+              assert.strictEqual(err.code, "ECONNRESET");
+              assert.strictEqual(device.getConnectionRequestStats().rateLimited, 1);
+              done();
+            });
+        });
+      });
+    });
+  });
+});
+
+describe("UDP connection requests", () => {
+  let acs;
+  let device;
+
+  beforeEach((t, done) => {
+    acs = startAcs(() => done());
+  });
+
+  afterEach((t, done) => {
+    device.stop(() => acs.close(done));
+  });
+
+  function createMessage(values, password) {
+    const text = values.ts + values.id + values.un + values.cn;
+    const sig = crypto.createHmac("sha1", password).update(text).digest("hex");
+    const params = new URLSearchParams(Object.assign({}, values, { sig: sig }));
+    return Buffer.from(`GET http://127.0.0.1?${params} HTTP/1.1\r\nHost: 127.0.0.1\r\n\r\n`);
+  }
+
+  it("starts a session for signed messages only, once per message", (t, done) => {
+    device = startDevice(acs, {}, err => {
+      assert.ifError(err);
+      const url = new URL(getConnectionRequestUrl(device));
+      const socket = dgram.createSocket("udp4");
+      const send = (msg, callback) => socket.send(msg, Number(url.port), url.hostname, () => setTimeout(callback, 50));
+      const values = { ts: "1700000000", id: "1", un: "cruser", cn: "abc" };
+
+      send(createMessage(values, "other"), () => {
+        assert.strictEqual(device.getConnectionRequestStats().unauthorized, 1);
+        send(createMessage(values, "crpass"), () => {
+          // Retransmission of the accepted message
+          send(createMessage(values, "crpass"), () => {
+            // Older than the accepted message
+            send(createMessage(Object.assign({}, values, { ts: "1699999999", id: "2" }), "crpass"), () => {
+              socket.close();
+              assert.deepStrictEqual(device.getConnectionRequestStats(),
+                { accepted: 1, unauthorized: 1, rateLimited: 0, busy: 0, invalid: 1 });
+              assert.deepStrictEqual(acs.received.filter(m => m.localName === "Inform").map(getEventCodes),
+                [["0 BOOTSTRAP", "1 BOOT"], ["6 CONNECTION REQUEST"]]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+});
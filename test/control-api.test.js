@@ -0,0 +1,199 @@
+"use strict";
+
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("assert");
+const http = require("http");
+const simulator = require("../simulator");
+const controlApi = require("../control-api");
+const { createDeviceModel } = require("./fixtures");
+
+describe("worker messages", () => {
+  let devices;
+
+  // Devices set up without contacting the ACS, waiting to boot
+  function createDevices() {
+    devices = new Map();
+    for (let serialNumber of ["000001", "000002"]) {
+      const device = new simulator.Device(createDeviceModel(), serialNumber, "20:2B:C1:E0:69:01",
+        "http://127.0.0.1:7547/", 500);
+      device.init();
+      devices.set(serialNumber, device);
+    }
+    return devices;
+  }
+
+  function send(command, serialNumber, args) {
+    return controlApi.handleWorkerMessage(devices, { command: command, serialNumber: serialNumber, args: args },
+      () => assert.fail("device added"));
+  }
+
+  afterEach(() => {
+    for (let device of devices.values()) device.stop();
+  });
+
+  it("lists, adds and removes devices", () => {
+    createDevices();
+    const list = send("list").result;
+    assert.deepStrictEqual(list.map(s => [s.serialNumber, s.state]), [["000001", "starting"], ["000002", "starting"]]);
+
+    assert.deepStrictEqual(send("add", "000001").error, { status: 409, message: "Device 000001 already exists" });
+    let added = null;
+    const message = { command: "add", serialNumber: "000003", macAddress: "20:2B:C1:E0:69:03" };
+    const reply = controlApi.handleWorkerMessage(devices, message, (serialNumber, macAddress) => {
+      added = [serialNumber, macAddress];
+    });
+    assert.deepStrictEqual(reply, { result: null });
+    assert.deepStrictEqual(added, ["000003", "20:2B:C1:E0:69:03"]);
+
+    const device = devices.get("000002");
+    assert.deepStrictEqual(send("remove", "000002"), { result: null });
+    assert.strictEqual(device.stopped, true);
+    assert.deepStrictEqual(Array.from(devices.keys()), ["000001"]);
+    assert.strictEqual(send("status", "000002").error.status, 503);
+  });
+
+  it("gets and sets parameters", () => {
+    createDevices();
+    const names = send("getParameters", "000001", { names: ["Device.Foo.1."] }).result.map(p => p.name);
+    assert.deepStrictEqual(names, ["Device.Foo.1.Count", "Device.Foo.1.Enable", "Device.Foo.1.Name"]);
+    assert.strictEqual(send("getParameters", "000001", { names: ["Device.Nope"] }).error.status, 404);
+
+    // Rejected as a whole
+    const parameters = { "Device.Foo.1.Name": "b", "Device.Nope": "x" };
+    assert.strictEqual(send("setParameters", "000001", { parameters: parameters }).error.status, 404);
+    assert.strictEqual(send("setParameters", "000001", { parameters: { "Device.Foo.1.Name": {} } }).error.status, 400);
+    assert.strictEqual(send("setParameters", "000001", { parameters: ["x"] }).error.status, 400);
+    assert.strictEqual(devices.get("000001").device["Device.Foo.1.Name"][1], "a");
+
+    const result = send("setParameters", "000001", { parameters: { "Device.Foo.1.Name": "b", "Device.Foo.1.Count": 2 } });
+    assert.deepStrictEqual(result.result, [
+      { name: "Device.Foo.1.Name", writable: true, value: "b", type: "xsd:string" },
+      { name: "Device.Foo.1.Count", writable: true, value: "2", type: "xsd:unsignedInt" }
+    ]);
+    assert.strictEqual(devices.get("000002").device["Device.Foo.1.Name"][1], "a");
+  });
+
+  it("queues session events and takes devices offline", () => {
+    createDevices();
+    assert.strictEqual(send("startSession", "000001", { events: [{ commandKey: "x" }] }).error.status, 400);
+    assert.strictEqual(send("startSession", "000001", { events: 1 }).error.status, 400);
+    const events = ["6 CONNECTION REQUEST", { code: "M Reboot", commandKey: "k" }];
+    const status = send("startSession", "000001", { events: events }).result;
+    assert.deepStrictEqual(status.pendingEvents, ["6 CONNECTION REQUEST", "M Reboot"]);
+
+    assert.deepStrictEqual(send("stopSession", "000002"), { result: { offlineMs: 500 } });
+    assert.strictEqual(send("status", "000002").result.state, "offline");
+    assert.strictEqual(send("nope", "000002").error.status, 400);
+  });
+});
+
+describe("control API routes", () => {
+  let server;
+  let port;
+  let calls;
+  // Fleet recording the calls, failing for the serial number "missing"
+  const fleet = {
+    list: callback => callback(null, [{ serialNumber: "000001" }]),
+    add: (serialNumber, macAddress, callback) => {
+      calls.push(["add", serialNumber, macAddress]);
+      callback(null, { serialNumber: serialNumber || "000002" });
+    },
+    remove: (serialNumber, callback) => {
+      calls.push(["remove", serialNumber]);
+      callback(null);
+    },
+    send: (serialNumber, command, args, callback) => {
+      calls.push([command, serialNumber, args]);
+      if (serialNumber === "missing") return callback(controlApi.createError(404, "Unknown device missing"));
+      callback(null, { command: command });
+    }
+  };
+
+  function request(method, path, body, callback) {
+    const req = http.request({ host: "127.0.0.1", port: port, method: method, path: path }, res => {
+      let data = "";
+      res.on("data", chunk => data += chunk);
+      res.on("end", () => callback(res, data ? JSON.parse(data) : undefined));
+    });
+    req.end(body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body));
+  }
+
+  before((t, done) => {
+    server = controlApi.createServer(fleet);
+    server.listen(0, "127.0.0.1", () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  after((t, done) => {
+    server.close(done);
+  });
+
+  it("lists, adds and removes devices", (t, done) => {
+    calls = [];
+    request("GET", "/devices", undefined, (res, body) => {
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(body, [{ serialNumber: "000001" }]);
+      request("POST", "/devices", { serialNumber: "../x" }, res => {
+        assert.strictEqual(res.statusCode, 400);
+        request("POST", "/devices", { serialNumber: "000003", macAddress: "20:2B:C1:E0:69:03" }, (res, body) => {
+          assert.strictEqual(res.statusCode, 201);
+          assert.deepStrictEqual(body, { serialNumber: "000003" });
+          request("DELETE", "/devices/000003", undefined, (res, body) => {
+            assert.strictEqual(res.statusCode, 204);
+            assert.strictEqual(body, undefined);
+            assert.deepStrictEqual(calls, [["add", "000003", "20:2B:C1:E0:69:03"], ["remove", "000003"]]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it("forwards device commands with their arguments", (t, done) => {
+    calls = [];
+    request("GET", "/devices/000001/parameters?name=Device.Foo.&name=Device.Bar", undefined, res => {
+      assert.strictEqual(res.statusCode, 200);
+      request("PUT", "/devices/000001/parameters", { "Device.Bar": "y" }, res => {
+        assert.strictEqual(res.statusCode, 200);
+        request("POST", "/devices/000001/sessions", { events: ["6 CONNECTION REQUEST"] }, res => {
+          assert.strictEqual(res.statusCode, 202);
+          request("POST", "/devices/000001/offline", undefined, res => {
+            assert.strictEqual(res.statusCode, 200);
+            request("GET", "/devices/missing", undefined, (res, body) => {
+              assert.strictEqual(res.statusCode, 404);
+              assert.deepStrictEqual(body, { error: "Unknown device missing" });
+              assert.deepStrictEqual(calls, [
+                ["getParameters", "000001", { names: ["Device.Foo.", "Device.Bar"] }],
+                ["setParameters", "000001", { parameters: { "Device.Bar": "y" } }],
+                ["startSession", "000001", { events: ["6 CONNECTION REQUEST"] }],
+                ["stopSession", "000001", {}],
+                ["status", "missing", {}]
+              ]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("rejects unknown routes, methods and bodies", (t, done) => {
+    request("GET", "/nope", undefined, res => {
+      assert.strictEqual(res.statusCode, 404);
+      request("PATCH", "/devices/000001", undefined, res => {
+        assert.strictEqual(res.statusCode, 405);
+        assert.strictEqual(res.headers["allow"], "GET, DELETE");
+        request("PUT", "/devices/000001/parameters", "{", (res, body) => {
+          assert.strictEqual(res.statusCode, 400);
+          assert.match(body.error, /^Invalid JSON/);
+          request("PUT", "/devices/000001/parameters", [1], res => {
+            assert.strictEqual(res.statusCode, 400);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const dataModel = require("../data-model");
+const { createTemplate } = require("./fixtures");
+
+describe("data model path tree", () => {
+  it("lists the direct children of a path with NextLevel", () => {
+    const device = dataModel.create(createTemplate());
+    assert.deepStrictEqual(dataModel.list(device, "Device.", true), ["Device.Bar", "Device.Foo."]);
+    assert.deepStrictEqual(dataModel.list(device, "Device.Foo.", true),
+      ["Device.Foo.1.", "Device.Foo.10.", "Device.Foo.2."]);
+  });
+
+  it("lists a subtree depth first in sorted order", () => {
+    const device = dataModel.create(createTemplate());
+    assert.deepStrictEqual(dataModel.list(device, "Device.Foo.1.", false),
+      ["Device.Foo.1.Enable", "Device.Foo.1.Name", "Device.Foo.1.Sub.", "Device.Foo.1.Sub.Value"]);
+    assert.deepStrictEqual(dataModel.list(device, "Device.Nope.", false), []);
+  });
+});
+
+describe("copy-on-write data model", () => {
+  it("reads the template until a parameter is edited", () => {
+    const template = createTemplate();
+    const device = dataModel.create(template);
+    assert.strictEqual(dataModel.getTemplate(device), template);
+    assert.strictEqual(device["Device.Bar"], template["Device.Bar"]);
+    assert.ok(Object.isFrozen(device["Device.Bar"]));
+
+    const param = dataModel.edit(device, "Device.Bar");
+    assert.notStrictEqual(param, template["Device.Bar"]);
+    assert.strictEqual(dataModel.edit(device, "Device.Bar"), param);
+    assert.deepStrictEqual(dataModel.getChanges(device),
+      { parameters: { "Device.Bar": [true, "x", "xsd:string"] }, deleted: [] });
+    assert.strictEqual(dataModel.edit(device, "Device.Nope"), undefined);
+  });
+
+  it("keeps the template and other devices unchanged when a device edits", () => {
+    const template = createTemplate();
+    const device = dataModel.create(template);
+    const other = dataModel.create(template);
+    dataModel.edit(device, "Device.Bar")[1] = "y";
+    device["Device.Baz"] = [true, "z", "xsd:string"];
+
+    assert.strictEqual(device["Device.Bar"][1], "y");
+    assert.strictEqual(template["Device.Bar"][1], "x");
+    assert.strictEqual(other["Device.Bar"][1], "x");
+    assert.deepStrictEqual(dataModel.list(device, "Device.", true), ["Device.Bar", "Device.Baz", "Device.Foo."]);
+    assert.deepStrictEqual(dataModel.list(other, "Device.", true), ["Device.Bar", "Device.Foo."]);
+    assert.strictEqual(other["Device.Baz"], undefined);
+  });
+
+  it("restores deleted template parameters from the saved changes", () => {
+    const template = createTemplate();
+    const device = dataModel.create(template);
+    for (let p of dataModel.list(device, "Device.Foo.1.", false).reverse()) delete device[p];
+    delete device["Device.Foo.1."];
+    dataModel.edit(device, "Device.Foo.10.Name")[1] = "B";
+    device["Device.Foo.3."] = [true];
+    device["Device.Foo.3.Name"] = [true, "d", "xsd:string"];
+    device._runtime = true;
+
+    const changes = JSON.parse(JSON.stringify(dataModel.getChanges(device)));
+    assert.strictEqual(changes.parameters._runtime, undefined);
+    const restored = dataModel.create(template, changes);
+
+    assert.deepStrictEqual(Object.keys(restored), Object.keys(device).filter(k => k[0] !== "_"));
+    assert.strictEqual(restored["Device.Foo.1."], undefined);
+    assert.strictEqual(restored["Device.Foo.1.Sub.Value"], undefined);
+    assert.strictEqual(restored["Device.Foo.10.Name"][1], "B");
+    assert.deepStrictEqual(dataModel.list(restored, "Device.Foo.", true),
+      ["Device.Foo.10.", "Device.Foo.2.", "Device.Foo.3."]);
+  });
+
+  it("goes back to the template on reset", () => {
+    const template = createTemplate();
+    const device = dataModel.create(template);
+    delete device["Device.Bar"];
+    device["Device.Baz"] = [true, "z", "xsd:string"];
+    dataModel.reset(device);
+
+    assert.deepStrictEqual(Object.keys(device), Object.keys(template));
+    assert.deepStrictEqual(dataModel.getChanges(device), { parameters: {}, deleted: [] });
+  });
+
+  it("loads CSV templates frozen", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "genieacs-sim-"));
+    const filename = path.join(dir, "template.csv");
+    fs.writeFileSync(filename, "Parameter,Object,Writable,Value,Value type,Reboot required\n" +
+      "Device,true,false,,,\n" +
+      "Device.Bar,false,true,\"x, y\",xsd:string,true\n");
+    try {
+      const template = dataModel.load(filename);
+      assert.deepStrictEqual(template, {
+        "Device.": [false],
+        "Device.Bar": [true, "x, y", "xsd:string", { rebootRequired: true }]
+      });
+      assert.ok(Object.isFrozen(template) && Object.isFrozen(template["Device.Bar"][3]));
+      assert.strictEqual(dataModel.getTemplate(template), null);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  });
+});
@@ -0,0 +1,362 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const simulator = require("../simulator");
+const { createDeviceModel, startAcs, startDevice, find, getEventCodes } = require("./fixtures");
+
+function setNotification(name, notification) {
+  return "<cwmp:SetParameterAttributes><ParameterList><SetParameterAttributesStruct>" +
+    `<Name>${name}</Name><NotificationChange>1</NotificationChange><Notification>${notification}</Notification>` +
+    "<AccessListChange>0</AccessListChange><AccessList></AccessList>" +
+    "</SetParameterAttributesStruct></ParameterList></cwmp:SetParameterAttributes>";
+}
+
+function getInformParameters(inform) {
+  let parameters = {};
+  for (let s of find(inform, "ParameterList").children)
+    parameters[find(s, "Name").text] = find(s, "Value").text;
+  return parameters;
+}
+
+describe("value change notifications", () => {
+  let acs;
+  let device;
+
+  beforeEach((t, done) => {
+    acs = startAcs(() => done());
+  });
+
+  afterEach((t, done) => {
+    device.stop(() => acs.close(done));
+  });
+
+  it("starts a session right away for active notification", (t, done) => {
+    acs.rpcs.push(setNotification("Device.Foo.1.Name", 2));
+    device = startDevice(acs, {}, err => {
+      assert.ifError(err);
+      device.updateParameter("Device.Foo.1.Name", "b");
+      acs.once("message", inform => {
+        assert.deepStrictEqual(getEventCodes(inform), ["4 VALUE CHANGE"]);
+        assert.strictEqual(getInformParameters(inform)["Device.Foo.1.Name"], "b");
+        done();
+      });
+    });
+  });
+
+  it("reports passive notification changes in the next session", (t, done) => {
+    acs.rpcs.push(setNotification("Device.Foo.1.Name", 1));
+    device = startDevice(acs, {}, err => {
+      assert.ifError(err);
+      device.updateParameter("Device.Foo.1.Name", "b");
+      device.updateParameter("Device.Foo.1.Count", "2");
+      // Unchanged values are not reported
+      device.updateParameter("Device.Foo.1.Enable", "true");
+      setTimeout(() => {
+        assert.strictEqual(acs.received.length, 2);
+        device.requestSession("6 CONNECTION REQUEST");
+        acs.once("message", inform => {
+          assert.deepStrictEqual(getEventCodes(inform), ["6 CONNECTION REQUEST", "4 VALUE CHANGE"]);
+          const parameters = getInformParameters(inform);
+          assert.strictEqual(parameters["Device.Foo.1.Name"], "b");
+          assert.strictEqual(parameters["Device.Foo.1.Count"], undefined);
+
+          // Reported once only
+          device.once("sessionEnd", () => {
+            device.requestSession("6 CONNECTION REQUEST");
+            acs.once("message", inform => {
+              assert.deepStrictEqual(getEventCodes(inform), ["6 CONNECTION REQUEST"]);
+              assert.strictEqual(getInformParameters(inform)["Device.Foo.1.Name"], undefined);
+              done();
+            });
+          });
+        });
+      }, 100);
+    });
+  });
+});
+
+describe("session retries", () => {
+  let acs;
+  let device;
+
+  beforeEach((t, done) => {
+    acs = startAcs(() => done());
+  });
+
+  afterEach((t, done) => {
+    device.stop(() => acs.close(done));
+  });
+
+  it("retries failed sessions with the undelivered events and RetryCount", (t, done) => {
+    acs.failures.push(500, 503);
+    const failures = [];
+    device = startDevice(acs, {}, () => {});
+    device.on("sessionEnd", function onSessionEnd(err) {
+      if (err) return failures.push({ message: err.message, time: Date.now() });
+      device.removeListener("sessionEnd", onSessionEnd);
+
+      assert.strictEqual(failures.length, 2);
+      assert.match(failures[0].message, /500/);
+      // CWMPRetryMinimumWaitInterval is 1 second, with a multiplier of 1
+      const interval = failures[1].time - failures[0].time;
+      assert.ok(interval >= 950 && interval < 1500, `retried after ${interval} ms`);
+
+      const informs = acs.received.filter(m => m.localName === "Inform");
+      assert.strictEqual(informs.length, 1);
+      assert.deepStrictEqual(getEventCodes(informs[0]), ["0 BOOTSTRAP", "1 BOOT"]);
+      assert.strictEqual(find(informs[0], "RetryCount").text, "2");
+      assert.strictEqual(device.getStatus().retryCount, 0);
+
+      // Back to 0 once a session succeeded
+      device.requestSession("6 CONNECTION REQUEST");
+      acs.once("message", inform => {
+        assert.strictEqual(find(inform, "RetryCount").text, "0");
+        done();
+      });
+    });
+  });
+
+  it("fails the session on responses that are not SOAP envelopes", (t, done) => {
+    acs.rpcs.push(res => {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<html><body>Login</body></html>");
+    });
+    device = startDevice(acs, {}, err => {
+      assert.strictEqual(err.message, "Invalid SOAP message: no Envelope");
+      assert.strictEqual(device.getStatus().retryCount, 1);
+      done();
+    });
+  });
+});
+
+describe("device state", () => {
+  let acs;
+  // ACS the first one redirects the device to
+  let otherAcs;
+  let stateDir;
+  // Devices to stop even if a test fails
+  let devices;
+
+  beforeEach((t, done) => {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "genieacs-sim-"));
+    devices = [];
+    acs = startAcs(() => {
+      otherAcs = startAcs(() => done());
+    });
+  });
+
+  afterEach((t, done) => {
+    for (let device of devices) device.stop();
+    fs.rmSync(stateDir, { recursive: true });
+    acs.close(() => otherAcs.close(done));
+  });
+
+  function track(device) {
+    devices.push(device);
+    return device;
+  }
+
+  function setValue(name, value) {
+    return "<cwmp:SetParameterValues><ParameterList><ParameterValueStruct>" +
+      `<Name>${name}</Name><Value>${value}</Value>` +
+      "</ParameterValueStruct></ParameterList><ParameterKey>key1</ParameterKey></cwmp:SetParameterValues>";
+  }
+
+  it("bootstraps on every start without a state directory", (t, done) => {
+    const device = track(startDevice(acs, {}, err => {
+      assert.ifError(err);
+      device.stop(() => {
+        const restarted = track(startDevice(acs, {}, err => {
+          assert.ifError(err);
+          const informs = acs.received.filter(m => m.localName === "Inform");
+          assert.deepStrictEqual(informs.map(getEventCodes), [["0 BOOTSTRAP", "1 BOOT"], ["0 BOOTSTRAP", "1 BOOT"]]);
+          restarted.stop(done);
+        }));
+      });
+    }));
+  });
+
+  it("restores the changes of the device and bootstraps only once", (t, done) => {
+    acs.rpcs.push(setValue("Device.Foo.1.Name", "b"));
+    const device = track(startDevice(acs, { stateDir: stateDir }, err => {
+      assert.ifError(err);
+      device.stop(() => {
+        const state = JSON.parse(fs.readFileSync(path.join(stateDir, "000001.json")));
+        // Only what differs from the template
+        assert.strictEqual(state.changes.parameters["Device.Foo.1.Name"][1], "b");
+        assert.strictEqual(state.changes.parameters["Device.Foo.1.Enable"], undefined);
+
+        const restarted = track(startDevice(acs, { stateDir: stateDir }, err => {
+          assert.ifError(err);
+          const informs = acs.received.filter(m => m.localName === "Inform");
+          assert.deepStrictEqual(getEventCodes(informs[1]), ["1 BOOT"]);
+          assert.strictEqual(restarted.device["Device.Foo.1.Name"][1], "b");
+          assert.strictEqual(restarted.device["Device.ManagementServer.ParameterKey"][1], "key1");
+          restarted.stop(done);
+        }));
+      });
+    }));
+  });
+
+  it("bootstraps again when the ACS changes ManagementServer.URL", (t, done) => {
+    acs.rpcs.push(setValue("Device.ManagementServer.URL", otherAcs.url));
+    const device = track(startDevice(acs, { stateDir: stateDir }, err => {
+      assert.ifError(err);
+      device.requestSession("6 CONNECTION REQUEST");
+      otherAcs.once("message", inform => {
+        assert.deepStrictEqual(getEventCodes(inform), ["0 BOOTSTRAP", "6 CONNECTION REQUEST"]);
+        done();
+      });
+    }));
+  });
+});
+
+describe("FactoryReset", () => {
+  let acs;
+  let stateDir;
+  let device;
+
+  beforeEach((t, done) => {
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), "genieacs-sim-"));
+    acs = startAcs(() => done());
+  });
+
+  afterEach((t, done) => {
+    device.stop(() => {
+      fs.rmSync(stateDir, { recursive: true });
+      acs.close(done);
+    });
+  });
+
+  it("restores the template keeping the device identity and bootstraps", (t, done) => {
+    acs.rpcs.push(
+      "<cwmp:SetParameterValues><ParameterList><ParameterValueStruct><Name>Device.Foo.1.Name</Name>" +
+      "<Value>b</Value></ParameterValueStruct></ParameterList><ParameterKey>key1</ParameterKey></cwmp:SetParameterValues>",
+      "<cwmp:AddObject><ObjectName>Device.Foo.</ObjectName><ParameterKey></ParameterKey></cwmp:AddObject>",
+      "<cwmp:FactoryReset/>"
+    );
+    device = startDevice(acs, { stateDir: stateDir }, err => {
+      assert.ifError(err);
+      const connectionRequestUrl = device.device["Device.ManagementServer.ConnectionRequestURL"][1];
+      assert.ok(device.device["Device.Foo.2."]);
+
+      acs.once("message", inform => {
+        assert.deepStrictEqual(getEventCodes(inform), ["0 BOOTSTRAP", "1 BOOT"]);
+        const model = device.device;
+        assert.strictEqual(model["Device.Foo.1.Name"][1], "a");
+        assert.strictEqual(model["Device.Foo.2."], undefined);
+        assert.strictEqual(model["Device.ManagementServer.ParameterKey"][1], "");
+        assert.strictEqual(model["Device.DeviceInfo.SerialNumber"][1], "000001");
+        assert.strictEqual(model["Device.ManagementServer.ConnectionRequestURL"][1], connectionRequestUrl);
+
+        device.stop(() => {
+          const state = JSON.parse(fs.readFileSync(path.join(stateDir, "000001.json")));
+          assert.strictEqual(state.changes.parameters["Device.Foo.1.Name"], undefined);
+          assert.strictEqual(state.changes.parameters["Device.Foo.2."], undefined);
+          done();
+        });
+      });
+    });
+  });
+});
+
+describe("embedded device", () => {
+  let acs;
+  let device;
+
+  beforeEach((t, done) => {
+    acs = startAcs(() => done());
+  });
+
+  afterEach((t, done) => {
+    device.stop(() => acs.close(done));
+  });
+
+  it("emits inform, rpc, transferComplete and sessionEnd", (t, done) => {
+    acs.rpcs.push(
+      "<cwmp:GetParameterValues><ParameterNames soap-enc:arrayType=\"xsd:string[1]\">" +
+      "<string>Device.Foo.1.Name</string></ParameterNames></cwmp:GetParameterValues>",
+      "<cwmp:Download><CommandKey>dw</CommandKey><FileType>2 Web Content</FileType><URL>ftp://127.0.0.1/file</URL>" +
+      "<Username></Username><Password></Password><FileSize>0</FileSize><TargetFileName></TargetFileName></cwmp:Download>"
+    );
+    const events = [];
+    device = new simulator.Device(createDeviceModel(), "000001", "20:2B:C1:E0:69:01", acs.url, 500);
+    device.on("inform", informEvents => {
+      // Emitted once the ACS answered
+      assert.strictEqual(acs.received[acs.received.length - 1].localName, "Inform");
+      events.push(["inform", informEvents]);
+    });
+    device.on("rpc", (name, args) => events.push(["rpc", name, args]));
+    device.on("transferComplete", result => events.push(["transferComplete", result.commandKey, result.faultCode]));
+    device.on("sessionEnd", err => {
+      events.push(["sessionEnd", err]);
+      if (events.length < 7) return;
+      assert.deepStrictEqual(events, [
+        ["inform", [{ code: "0 BOOTSTRAP", commandKey: "" }, { code: "1 BOOT", commandKey: "" }]],
+        ["rpc", "GetParameterValues", { ParameterNames: ["Device.Foo.1.Name"] }],
+        ["rpc", "Download", {
+          CommandKey: "dw", FileType: "2 Web Content", URL: "ftp://127.0.0.1/file",
+          Username: "", Password: "", FileSize: "0", TargetFileName: ""
+        }],
+        ["sessionEnd", null],
+        ["inform", [{ code: "7 TRANSFER COMPLETE", commandKey: "" }]],
+        ["transferComplete", "dw", "9016"],
+        ["sessionEnd", null]
+      ]);
+      done();
+    });
+    device.start();
+  });
+
+  it("emits inform only for Informs the ACS answered", (t, done) => {
+    acs.failures.push(500);
+    device = new simulator.Device(createDeviceModel(), "000001", "20:2B:C1:E0:69:01", acs.url, 500);
+    const informs = [];
+    device.on("inform", informEvents => informs.push(informEvents.map(e => e.code)));
+    device.on("sessionEnd", err => {
+      if (err) return assert.strictEqual(informs.length, 0);
+      assert.deepStrictEqual(informs, [["0 BOOTSTRAP", "1 BOOT"]]);
+      done();
+    });
+    device.start();
+  });
+
+  it("closes its sockets and cancels its timers on stop", (t, done) => {
+    device = startDevice(acs, { counterInterval: 1 }, err => {
+      assert.ifError(err);
+      const url = device.device["Device.ManagementServer.ConnectionRequestURL"][1];
+      device.stopSession();
+      assert.ok(device.timers.size > 0);
+      device.stop(() => {
+        assert.strictEqual(device.timers.size, 0);
+        assert.strictEqual(device.getStatus().state, "stopped");
+        http.get(url).on("error", err => {
+          assert.strictEqual(err.code, "ECONNREFUSED");
+          // Stopping again only calls back
+          device.stop(done);
+        });
+      });
+    });
+  });
+
+  it("emits error when the ACS cannot be reached", (t, done) => {
+    // A port nothing listens on any longer
+    const server = http.createServer().listen(0, "127.0.0.1", () => {
+      const url = `http://127.0.0.1:${server.address().port}/`;
+      server.close(() => {
+        device = new simulator.Device(createDeviceModel(), "000001", "20:2B:C1:E0:69:01", url, 500);
+        device.on("sessionEnd", () => assert.fail("session started"));
+        device.on("error", err => {
+          assert.strictEqual(err.code, "ECONNREFUSED");
+          done();
+        });
+        device.start();
+      });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+"use strict";
+
+const EventEmitter = require("events");
+const http = require("http");
+const xmlParser = require("../xml-parser");
+const dataModel = require("../data-model");
+const simulator = require("../simulator");
+
+// Template with instances sharing a prefix (1 and 10) and listed out of
+// numeric order (10 before 2)
+function createTemplate() {
+  return dataModel.freeze({
+    "Device.": [false],
+    "Device.Bar": [true, "x", "xsd:string"],
+    "Device.Foo.": [true],
+    "Device.Foo.1.": [true],
+    "Device.Foo.1.Enable": [true, "true", "xsd:boolean"],
+    "Device.Foo.1.Name": [true, "a", "xsd:string"],
+    "Device.Foo.1.Sub.": [false],
+    "Device.Foo.1.Sub.Value": [false, "1", "xsd:unsignedInt"],
+    "Device.Foo.10.": [true],
+    "Device.Foo.10.Enable": [true, "false", "xsd:boolean"],
+    "Device.Foo.10.Name": [true, "b", "xsd:string"],
+    "Device.Foo.2.": [true],
+    "Device.Foo.2.Enable": [true, "true", "xsd:boolean"],
+    "Device.Foo.2.Name": [true, "c", "xsd:string"]
+  });
+}
+
+// Data model of a device talking to an ACS, a plain object like the JSON
+// templates. Retries wait about a second and periodic Informs are far apart.
+function createDeviceModel() {
+  return {
+    "Device.": [false],
+    "Device.DeviceInfo.": [false],
+    "Device.DeviceInfo.Manufacturer": [false, "genieacs-sim", "xsd:string"],
+    "Device.DeviceInfo.ManufacturerOUI": [false, "202BC1", "xsd:string"],
+    "Device.DeviceInfo.ProductClass": [false, "Test", "xsd:string"],
+    "Device.DeviceInfo.SerialNumber": [false, "", "xsd:string"],
+    "Device.DeviceInfo.SoftwareVersion": [false, "1.0.0", "xsd:string"],
+    "Device.DeviceInfo.ProvisioningCode": [true, "", "xsd:string"],
+    "Device.ManagementServer.": [false],
+    "Device.ManagementServer.URL": [true, "", "xsd:string"],
+    "Device.ManagementServer.Username": [true, "user", "xsd:string"],
+    "Device.ManagementServer.Password": [true, "pass", "xsd:string"],
+    "Device.ManagementServer.PeriodicInformInterval": [true, "3600", "xsd:unsignedInt"],
+    "Device.ManagementServer.ParameterKey": [false, "", "xsd:string"],
+    "Device.ManagementServer.ConnectionRequestURL": [false, "", "xsd:string"],
+    "Device.ManagementServer.ConnectionRequestUsername": [true, "cruser", "xsd:string"],
+    "Device.ManagementServer.ConnectionRequestPassword": [true, "crpass", "xsd:string"],
+    "Device.ManagementServer.CWMPRetryMinimumWaitInterval": [true, "1", "xsd:unsignedInt"],
+    "Device.ManagementServer.CWMPRetryIntervalMultiplier": [true, "1000", "xsd:unsignedInt"],
+    "Device.Foo.": [true],
+    "Device.Foo.1.": [true],
+    "Device.Foo.1.Enable": [true, "true", "xsd:boolean"],
+    "Device.Foo.1.Name": [true, "a", "xsd:string"],
+    "Device.Foo.1.Count": [true, "1", "xsd:unsignedInt"]
+  };
+}
+
+function createSoapDocument(id, body) {
+  return "<soap-env:Envelope xmlns:soap-env=\"http://schemas.xmlsoap.org/soap/envelope/\" " +
+    "xmlns:soap-enc=\"http://schemas.xmlsoap.org/soap/encoding/\" xmlns:cwmp=\"urn:dslforum-org:cwmp-1-0\" " +
+    "xmlns:xsd=\"http://www.w3.org/2001/XMLSchema\" xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\">" +
+    `<soap-env:Header><cwmp:ID soap-env:mustUnderstand="1">${id}</cwmp:ID></soap-env:Header>` +
+    `<soap-env:Body>${body}</soap-env:Body></soap-env:Envelope>`;
+}
+
+// Mock ACS on a local port. It acknowledges the CPE requests (Inform,
+// TransferComplete...) and sends the RPCs pushed to acs.rpcs, one per empty
+// request or RPC response, functions being called to write the response.
+// Every message of the device is pushed to acs.received as its parsed RPC
+// element, and emitted as "message". Pushing status codes to acs.failures
+// answers the next requests with them.
+function startAcs(callback) {
+  const acs = new EventEmitter();
+  acs.rpcs = [];
+  acs.received = [];
+  acs.failures = [];
+  let id = 0;
+
+  acs.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => {
+      const status = acs.failures.shift();
+      if (status) {
+        res.writeHead(status);
+        return res.end();
+      }
+
+      let rpc = null;
+      if (body) {
+        const soapBody = find(xmlParser.parseXml(body), "Body");
+        rpc = soapBody.children[0];
+        acs.received.push(rpc);
+      }
+
+      let reply = null;
+      if (rpc && !rpc.localName.endsWith("Response") && rpc.localName !== "Fault")
+        reply = `<cwmp:${rpc.localName}Response/>`;
+      else if (acs.rpcs.length)
+        reply = acs.rpcs.shift();
+
+      if (typeof reply === "function") {
+        reply(res);
+      } else if (reply) {
+        res.writeHead(200, { "Content-Type": "text/xml" });
+        res.end(createSoapDocument(++id, reply));
+      } else {
+        res.writeHead(204);
+        res.end();
+      }
+      if (rpc) acs.emit("message", rpc);
+    });
+  });
+
+  acs.server.listen(0, "127.0.0.1", () => {
+    acs.url = `http://127.0.0.1:${acs.server.address().port}/`;
+    callback(acs);
+  });
+
+  acs.close = function (cb) {
+    if (acs.server.closeAllConnections) acs.server.closeAllConnections();
+    acs.server.close(cb);
+  };
+  return acs;
+}
+
+// Start a device and call back once its boot session ended. The options are
+// those of the Device, model, serialNumber and timeout replacing the defaults
+// of the constructor arguments.
+function startDevice(acs, options, callback) {
+  const device = new simulator.Device(options.model || createDeviceModel(), options.serialNumber || "000001",
+    "20:2B:C1:E0:69:01", acs.url, options.timeout || 500, options);
+  device.once("sessionEnd", err => callback(err, device));
+  device.start();
+  return device;
+}
+
+// Call an RPC handler with the request given as XML, the response is parsed
+function call(method, device, xml) {
+  const request = xmlParser.parseXml(xml).children[0];
+  let response;
+  method(device, request, body => { response = xmlParser.parseXml(body).children[0]; });
+  return response;
+}
+
+function find(element, localName) {
+  if (element.localName === localName) return element;
+  for (let c of element.children) {
+    const found = find(c, localName);
+    if (found) return found;
+  }
+  return null;
+}
+
+function getFaultCode(response) {
+  const faultCode = find(response, "FaultCode");
+  return faultCode ? faultCode.text : null;
+}
+
+function findAll(element, localName, found = []) {
+  if (element.localName === localName) found.push(element);
+  for (let c of element.children) findAll(c, localName, found);
+  return found;
+}
+
+function getEventCodes(inform) {
+  return findAll(inform, "EventCode").map(e => e.text);
+}
+
+exports.createTemplate = createTemplate;
+exports.createDeviceModel = createDeviceModel;
+exports.startAcs = startAcs;
+exports.startDevice = startDevice;
+exports.call = call;
+exports.find = find;
+exports.findAll = findAll;
+exports.getEventCodes = getEventCodes;
+exports.getFaultCode = getFaultCode;
@@ -0,0 +1,236 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const dataModel = require("../data-model");
+const methods = require("../methods");
+const { createTemplate, createDeviceModel, call, find, findAll, getFaultCode } = require("./fixtures");
+
+function getParameterNames(device, path, nextLevel) {
+  const response = call(methods.GetParameterNames, device,
+    `<cwmp:GetParameterNames><ParameterPath>${path}</ParameterPath><NextLevel>${nextLevel}</NextLevel></cwmp:GetParameterNames>`);
+  const list = find(response, "ParameterList");
+  return list ? list.children.map(c => find(c, "Name").text) : getFaultCode(response);
+}
+
+describe("GetParameterNames", () => {
+  it("lists the next level only with NextLevel", () => {
+    const device = dataModel.create(createTemplate());
+    assert.deepStrictEqual(getParameterNames(device, "Device.", true), ["Device.Bar", "Device.Foo."]);
+    assert.deepStrictEqual(getParameterNames(device, "Device.Foo.", true),
+      ["Device.Foo.1.", "Device.Foo.10.", "Device.Foo.2."]);
+  });
+
+  it("lists the path and everything below it without NextLevel", () => {
+    const device = dataModel.create(createTemplate());
+    assert.deepStrictEqual(getParameterNames(device, "Device.Foo.1.", false), [
+      "Device.Foo.1.",
+      "Device.Foo.1.Enable",
+      "Device.Foo.1.Name",
+      "Device.Foo.1.Sub.",
+      "Device.Foo.1.Sub.Value"
+    ]);
+  });
+
+  it("faults on unknown paths and NextLevel for a parameter", () => {
+    const device = dataModel.create(createTemplate());
+    assert.strictEqual(getParameterNames(device, "Device.Nope.", false), "9005");
+    assert.strictEqual(getParameterNames(device, "Device.Bar", true), "9003");
+  });
+});
+
+describe("DeleteObject", () => {
+  it("deletes an instance without touching instances sharing its prefix", () => {
+    const device = dataModel.create(createTemplate());
+    const response = call(methods.DeleteObject, device,
+      "<cwmp:DeleteObject><ObjectName>Device.Foo.1.</ObjectName><ParameterKey></ParameterKey></cwmp:DeleteObject>");
+
+    assert.strictEqual(find(response, "Status").text, "0");
+    assert.strictEqual(device["Device.Foo.1."], undefined);
+    assert.strictEqual(device["Device.Foo.1.Sub.Value"], undefined);
+    assert.deepStrictEqual(getParameterNames(device, "Device.Foo.", false),
+      ["Device.Foo.", "Device.Foo.10.", "Device.Foo.10.Enable", "Device.Foo.10.Name",
+        "Device.Foo.2.", "Device.Foo.2.Enable", "Device.Foo.2.Name"]);
+  });
+
+  it("faults on unknown objects", () => {
+    const device = dataModel.create(createTemplate());
+    const response = call(methods.DeleteObject, device,
+      "<cwmp:DeleteObject><ObjectName>Device.Foo.3.</ObjectName><ParameterKey></ParameterKey></cwmp:DeleteObject>");
+    assert.strictEqual(getFaultCode(response), "9005");
+  });
+});
+
+describe("AddObject", () => {
+  it("adds an instance shaped like the existing ones to the device only", () => {
+    const template = createTemplate();
+    const device = dataModel.create(template);
+    const other = dataModel.create(template);
+    const response = call(methods.AddObject, device,
+      "<cwmp:AddObject><ObjectName>Device.Foo.</ObjectName><ParameterKey></ParameterKey></cwmp:AddObject>");
+
+    assert.strictEqual(find(response, "InstanceNumber").text, "3");
+    assert.deepStrictEqual(getParameterNames(device, "Device.Foo.3.", false), [
+      "Device.Foo.3.",
+      "Device.Foo.3.Enable",
+      "Device.Foo.3.Name",
+      "Device.Foo.3.Sub.",
+      "Device.Foo.3.Sub.Value"
+    ]);
+    assert.deepStrictEqual(device["Device.Foo.3.Enable"], [true, "false", "xsd:boolean"]);
+    assert.deepStrictEqual(device["Device.Foo.3.Sub.Value"], [false, "0", "xsd:unsignedInt"]);
+    assert.strictEqual(template["Device.Foo.3."], undefined);
+    assert.deepStrictEqual(getParameterNames(other, "Device.Foo.", true),
+      ["Device.Foo.1.", "Device.Foo.10.", "Device.Foo.2."]);
+  });
+
+  it("reuses the lowest free instance number after a deletion", () => {
+    const device = dataModel.create(createTemplate());
+    call(methods.DeleteObject, device,
+      "<cwmp:DeleteObject><ObjectName>Device.Foo.1.</ObjectName><ParameterKey></ParameterKey></cwmp:DeleteObject>");
+    const response = call(methods.AddObject, device,
+      "<cwmp:AddObject><ObjectName>Device.Foo.</ObjectName><ParameterKey></ParameterKey></cwmp:AddObject>");
+
+    assert.strictEqual(find(response, "InstanceNumber").text, "1");
+    assert.deepStrictEqual(getParameterNames(device, "Device.Foo.", true),
+      ["Device.Foo.1.", "Device.Foo.10.", "Device.Foo.2."]);
+    assert.deepStrictEqual(getParameterNames(device, "Device.Foo.1.", false),
+      ["Device.Foo.1.", "Device.Foo.1.Enable", "Device.Foo.1.Name"]);
+  });
+});
+
+describe("GetParameterAttributes and SetParameterAttributes", () => {
+  function setAttributes(device, structs) {
+    const xml = structs.map(s => "<SetParameterAttributesStruct>" +
+      `<Name>${s.name}</Name><NotificationChange>${s.notification != null}</NotificationChange>` +
+      `<Notification>${s.notification}</Notification><AccessListChange>${!!s.accessList}</AccessListChange>` +
+      `<AccessList>${(s.accessList || []).map(a => `<string>${a}</string>`).join("")}</AccessList>` +
+      "</SetParameterAttributesStruct>").join("");
+    return call(methods.SetParameterAttributes, device,
+      `<cwmp:SetParameterAttributes><ParameterList>${xml}</ParameterList></cwmp:SetParameterAttributes>`);
+  }
+
+  function getAttributes(device, names) {
+    const response = call(methods.GetParameterAttributes, device,
+      "<cwmp:GetParameterAttributes><ParameterNames>" +
+      names.map(n => `<string>${n}</string>`).join("") +
+      "</ParameterNames></cwmp:GetParameterAttributes>");
+    const list = find(response, "ParameterList");
+    if (!list) return getFaultCode(response);
+    let attributes = {};
+    for (let s of list.children) {
+      attributes[find(s, "Name").text] = [
+        Number(find(s, "Notification").text),
+        find(s, "AccessList").children.map(c => c.text)
+      ];
+    }
+    return attributes;
+  }
+
+  it("sets the notification and access list of the parameters below a path", () => {
+    const template = dataModel.freeze(createDeviceModel());
+    const device = dataModel.create(template);
+    const response = setAttributes(device, [{ name: "Device.Foo.1.", notification: 1, accessList: ["Subscriber"] }]);
+    assert.strictEqual(response.localName, "SetParameterAttributesResponse");
+
+    assert.deepStrictEqual(getAttributes(device, ["Device.Foo.1.", "Device.DeviceInfo.ProductClass"]), {
+      "Device.Foo.1.Count": [1, ["Subscriber"]],
+      "Device.Foo.1.Enable": [1, ["Subscriber"]],
+      "Device.Foo.1.Name": [1, ["Subscriber"]],
+      "Device.DeviceInfo.ProductClass": [0, []]
+    });
+    assert.strictEqual(template["Device.Foo.1.Name"][3], undefined);
+
+    // Only the notification changes
+    setAttributes(device, [{ name: "Device.Foo.1.Name", notification: 2 }]);
+    assert.deepStrictEqual(getAttributes(device, ["Device.Foo.1.Name"]), { "Device.Foo.1.Name": [2, ["Subscriber"]] });
+  });
+
+  it("keeps the forced active notification", () => {
+    const device = dataModel.create(dataModel.freeze(createDeviceModel()));
+    assert.deepStrictEqual(getAttributes(device, ["Device.DeviceInfo.SoftwareVersion"]),
+      { "Device.DeviceInfo.SoftwareVersion": [2, []] });
+
+    // Rejected as a whole, the first change is not applied either
+    const response = setAttributes(device, [
+      { name: "Device.Foo.1.Name", notification: 1 },
+      { name: "Device.DeviceInfo.SoftwareVersion", notification: 0 }
+    ]);
+    assert.strictEqual(getFaultCode(response), "9009");
+    assert.deepStrictEqual(getAttributes(device, ["Device.Foo.1.Name"]), { "Device.Foo.1.Name": [0, []] });
+
+    // Partial paths skip the forced parameters
+    setAttributes(device, [{ name: "Device.DeviceInfo.", notification: 1 }]);
+    const attributes = getAttributes(device, ["Device.DeviceInfo."]);
+    assert.deepStrictEqual(attributes["Device.DeviceInfo.SoftwareVersion"], [2, []]);
+    assert.deepStrictEqual(attributes["Device.DeviceInfo.ProductClass"], [1, []]);
+  });
+
+  it("faults on unknown parameters and notification values", () => {
+    const device = dataModel.create(dataModel.freeze(createDeviceModel()));
+    assert.strictEqual(getAttributes(device, ["Device.Nope"]), "9005");
+    assert.strictEqual(getFaultCode(setAttributes(device, [{ name: "Device.Nope", notification: 1 }])), "9005");
+    assert.strictEqual(getFaultCode(setAttributes(device, [{ name: "Device.Foo.1.Name", notification: 3 }])), "9003");
+  });
+});
+
+describe("SetParameterValues", () => {
+  function setValues(device, values, parameterKey) {
+    const xml = values.map(([name, value, type]) => "<ParameterValueStruct>" +
+      `<Name>${name}</Name><Value${type ? ` xsi:type="${type}"` : ""}>${value}</Value>` +
+      "</ParameterValueStruct>").join("");
+    return call(methods.SetParameterValues, device,
+      `<cwmp:SetParameterValues><ParameterList>${xml}</ParameterList>` +
+      `<ParameterKey>${parameterKey}</ParameterKey></cwmp:SetParameterValues>`);
+  }
+
+  it("sets the values and the ParameterKey", () => {
+    const device = dataModel.create(dataModel.freeze(createDeviceModel()));
+    const response = setValues(device, [
+      ["Device.Foo.1.Name", "b", "xsd:string"],
+      ["Device.Foo.1.Enable", "0"],
+      ["Device.Foo.1.Count", "42", "xsd:unsignedInt"]
+    ], "key1");
+
+    assert.strictEqual(find(response, "Status").text, "0");
+    assert.strictEqual(device["Device.Foo.1.Name"][1], "b");
+    assert.strictEqual(device["Device.Foo.1.Enable"][1], "0");
+    assert.strictEqual(device["Device.Foo.1.Count"][1], "42");
+    assert.strictEqual(device["Device.ManagementServer.ParameterKey"][1], "key1");
+  });
+
+  it("rejects the whole request with a fault per invalid parameter", () => {
+    const device = dataModel.create(dataModel.freeze(createDeviceModel()));
+    const response = setValues(device, [
+      ["Device.Foo.1.Name", "b", "xsd:string"],
+      ["Device.Nope", "x", "xsd:string"],
+      ["Device.DeviceInfo.ProductClass", "x", "xsd:string"],
+      ["Device.Foo.1.Enable", "true", "xsd:string"],
+      ["Device.Foo.1.Count", "-1", "xsd:unsignedInt"],
+      ["Device.Foo.1.", "x"]
+    ], "key1");
+
+    assert.strictEqual(getFaultCode(response), "9003");
+    const faults = findAll(response, "SetParameterValuesFault")
+      .map(f => [find(f, "ParameterName").text, find(f, "FaultCode").text]);
+    assert.deepStrictEqual(faults, [
+      ["Device.Nope", "9005"],
+      ["Device.DeviceInfo.ProductClass", "9008"],
+      ["Device.Foo.1.Enable", "9006"],
+      ["Device.Foo.1.Count", "9007"],
+      ["Device.Foo.1.", "9005"]
+    ]);
+
+    // Nothing applied
+    assert.strictEqual(device["Device.Foo.1.Name"][1], "a");
+    assert.strictEqual(device["Device.ManagementServer.ParameterKey"][1], "");
+  });
+
+  it("answers status 1 for parameters requiring a reboot", () => {
+    const model = createDeviceModel();
+    model["Device.Foo.1.Name"] = [true, "a", "xsd:string", { rebootRequired: true }];
+    const device = dataModel.create(dataModel.freeze(model));
+    assert.strictEqual(find(setValues(device, [["Device.Foo.1.Count", "2"]], ""), "Status").text, "0");
+    assert.strictEqual(find(setValues(device, [["Device.Foo.1.Name", "b"]], ""), "Status").text, "1");
+  });
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("assert");
+const crypto = require("crypto");
+const digestAuth = require("../service-auth");
+
+describe("digest authentication", () => {
+  const challenge = digestAuth.parseDigestHeader(digestAuth.createDigestChallenge("genieacs-sim", "abc123"));
+
+  it("accepts the response of a client answering the challenge", () => {
+    const header = digestAuth.generateDigestAuth("user", "pass", "GET", "/cr", challenge, 3);
+    const authParams = digestAuth.parseDigestHeader(header);
+    assert.strictEqual(authParams.nc, "00000003");
+    assert.ok(digestAuth.verifyDigestAuth(authParams, "GET", "user", "pass"));
+  });
+
+  it("rejects wrong credentials and methods", () => {
+    const authParams = digestAuth.parseDigestHeader(
+      digestAuth.generateDigestAuth("user", "pass", "GET", "/cr", challenge));
+    assert.ok(!digestAuth.verifyDigestAuth(authParams, "GET", "user", "other"));
+    assert.ok(!digestAuth.verifyDigestAuth(authParams, "GET", "other", "pass"));
+    assert.ok(!digestAuth.verifyDigestAuth(authParams, "POST", "user", "pass"));
+  });
+
+  it("verifies MD5-sess responses", () => {
+    const params = Object.assign({}, challenge, { algorithm: "MD5-sess" });
+    const authParams = digestAuth.parseDigestHeader(digestAuth.generateDigestAuth("user", "pass", "GET", "/", params));
+    assert.ok(digestAuth.verifyDigestAuth(authParams, "GET", "user", "pass"));
+  });
+
+  it("verifies basic credentials", () => {
+    const header = `Basic ${Buffer.from("user:pass").toString("base64")}`;
+    assert.ok(digestAuth.verifyBasicAuth(header, "user", "pass"));
+    assert.ok(!digestAuth.verifyBasicAuth(header, "user", "other"));
+  });
+});
+
+describe("UDP connection request signature", () => {
+  function createParams(password, values) {
+    const text = values.ts + values.id + values.un + values.cn;
+    const sig = crypto.createHmac("sha1", password).update(text).digest("hex");
+    return new URLSearchParams(Object.assign({ sig: sig }, values));
+  }
+
+  const values = { ts: "1700000000", id: "42", un: "user", cn: "f3a1" };
+
+  it("accepts messages signed with the password", () => {
+    assert.ok(digestAuth.verifyUdpConnectionRequest(createParams("pass", values), "pass"));
+  });
+
+  it("accepts signatures in upper case", () => {
+    const params = createParams("pass", values);
+    params.set("sig", params.get("sig").toUpperCase());
+    assert.ok(digestAuth.verifyUdpConnectionRequest(params, "pass"));
+  });
+
+  it("rejects other passwords, altered fields and missing signatures", () => {
+    assert.ok(!digestAuth.verifyUdpConnectionRequest(createParams("pass", values), "other"));
+    const params = createParams("pass", values);
+    params.set("ts", "1700000001");
+    assert.ok(!digestAuth.verifyUdpConnectionRequest(params, "pass"));
+    params.delete("sig");
+    assert.ok(!digestAuth.verifyUdpConnectionRequest(params, "pass"));
+  });
+});
@@ -0,0 +1,140 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("assert");
+const crypto = require("crypto");
+const dgram = require("dgram");
+const stunClient = require("../stun-client");
+const { createDeviceModel, startAcs, startDevice } = require("./fixtures");
+
+const MAGIC_COOKIE = 0x2112a442;
+
+function createAttribute(type, value) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(value.length, 2);
+  return Buffer.concat([header, value, Buffer.alloc((4 - value.length % 4) % 4)]);
+}
+
+function createMessage(type, transactionId, attributes) {
+  const body = Buffer.concat(attributes);
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt16BE(body.length, 2);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+  return Buffer.concat([header, body]);
+}
+
+function createAddress(address, port, xor) {
+  const value = Buffer.alloc(8);
+  value[1] = 0x01;
+  let ip = address.split(".").reduce((a, b) => a * 256 + Number(b), 0);
+  if (xor) {
+    port ^= MAGIC_COOKIE >>> 16;
+    ip = (ip ^ MAGIC_COOKIE) >>> 0;
+  }
+  value.writeUInt16BE(port, 2);
+  value.writeUInt32BE(ip, 4);
+  return value;
+}
+
+describe("STUN client", () => {
+  const transactionId = crypto.randomBytes(12);
+
+  it("creates Binding Requests with the TR-111 attributes", () => {
+    const msg = stunClient.createBindingRequest(transactionId, { username: "user", password: "pass", bindingChange: true });
+    assert.ok(stunClient.isStunMessage(msg));
+    assert.strictEqual(msg.readUInt16BE(0), 0x0001);
+    assert.ok(stunClient.getTransactionId(msg).equals(transactionId));
+    assert.ok(msg.includes("dslforum.org/TR-111 "));
+    assert.ok(msg.includes("user"));
+  });
+
+  it("parses the mapped address of a Binding Response", () => {
+    const msg = createMessage(stunClient.BINDING_RESPONSE, transactionId, [
+      createAttribute(0x0001, createAddress("10.0.0.1", 1234, false)),
+      createAttribute(0x0020, createAddress("203.0.113.5", 40000, true))
+    ]);
+    const response = stunClient.parseBindingResponse(msg);
+    assert.strictEqual(response.type, stunClient.BINDING_RESPONSE);
+    assert.ok(response.transactionId.equals(transactionId));
+    assert.deepStrictEqual(response.mappedAddress, { address: "203.0.113.5", port: 40000 });
+  });
+
+  it("parses the error code of a Binding Error Response", () => {
+    const msg = createMessage(stunClient.BINDING_ERROR_RESPONSE, transactionId, [
+      createAttribute(0x0009, Buffer.concat([Buffer.from([0, 0, 4, 1]), Buffer.from("Unauthorized")]))
+    ]);
+    assert.strictEqual(stunClient.parseBindingResponse(msg).errorCode, 401);
+  });
+
+  it("ignores other datagrams", () => {
+    assert.ok(!stunClient.isStunMessage(Buffer.from("GET /?ts=1 HTTP/1.1\r\n\r\n")));
+    assert.ok(!stunClient.isStunMessage(Buffer.alloc(10)));
+  });
+
+  it("ignores truncated attributes and addresses", () => {
+    const shortAddress = createMessage(stunClient.BINDING_RESPONSE, transactionId, [
+      createAttribute(0x0020, Buffer.from([0, 1, 0, 0]))
+    ]);
+    assert.strictEqual(stunClient.parseBindingResponse(shortAddress).mappedAddress, null);
+
+    // An attribute claiming more bytes than the message holds
+    const truncated = createMessage(stunClient.BINDING_RESPONSE, transactionId, [
+      createAttribute(0x0009, Buffer.from([0, 0, 4, 1]))
+    ]);
+    truncated.writeUInt16BE(200, 22);
+    const response = stunClient.parseBindingResponse(truncated);
+    assert.strictEqual(response.errorCode, null);
+    assert.strictEqual(response.mappedAddress, null);
+  });
+});
+
+describe("STUN binding", () => {
+  let acs;
+  let device;
+  let server;
+
+  beforeEach((t, done) => {
+    server = dgram.createSocket("udp4");
+    server.bind(0, "127.0.0.1", () => {
+      acs = startAcs(() => done());
+    });
+  });
+
+  afterEach((t, done) => {
+    server.close();
+    device.stop(() => acs.close(done));
+  });
+
+  it("reports the mapped address and tells the server about the binding change", (t, done) => {
+    const model = createDeviceModel();
+    model["Device.ManagementServer.STUNEnable"] = [true, "true", "xsd:boolean"];
+    model["Device.ManagementServer.STUNServerAddress"] = [true, "127.0.0.1", "xsd:string"];
+    model["Device.ManagementServer.STUNServerPort"] = [true, String(server.address().port), "xsd:unsignedInt"];
+    model["Device.ManagementServer.UDPConnectionRequestAddress"] = [false, "", "xsd:string"];
+    model["Device.ManagementServer.NATDetected"] = [false, "false", "xsd:boolean"];
+
+    const requests = [];
+    server.on("message", (msg, rinfo) => {
+      requests.push(msg);
+      if (requests.length === 1) {
+        const response = createMessage(stunClient.BINDING_RESPONSE, stunClient.getTransactionId(msg), [
+          createAttribute(0x0020, createAddress("203.0.113.5", 40000, true))
+        ]);
+        server.send(response, rinfo.port, rinfo.address);
+        return;
+      }
+
+      // BINDING-CHANGE attribute
+      assert.ok(msg.includes(Buffer.from([0xc0, 0x02, 0, 0])));
+      assert.ok(!requests[0].includes(Buffer.from([0xc0, 0x02, 0, 0])));
+      assert.strictEqual(device.device["Device.ManagementServer.UDPConnectionRequestAddress"][1], "203.0.113.5:40000");
+      assert.strictEqual(device.device["Device.ManagementServer.NATDetected"][1], "true");
+      done();
+    });
+
+    device = startDevice(acs, { model: model }, err => assert.ifError(err));
+  });
+});
@@ -0,0 +1,197 @@
+"use strict";
+
+// Short retry delay of scheduled downloads, read when methods.js is loaded
+process.env.SCHEDULED_DOWNLOAD_RETRY = "100";
+
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("assert");
+const http = require("http");
+const dataModel = require("../data-model");
+const methods = require("../methods");
+const { createDeviceModel, startAcs, startDevice, call, find, getFaultCode, getEventCodes } = require("./fixtures");
+
+function scheduleDownload(commandKey, url, timeWindows) {
+  const windows = timeWindows.map(w => "<TimeWindowStruct>" +
+    `<WindowStart>${w.start}</WindowStart><WindowEnd>${w.end}</WindowEnd>` +
+    `<WindowMode>${w.mode || "1 At Any Time"}</WindowMode><UserMessage></UserMessage>` +
+    `<MaxRetries>${w.maxRetries != null ? w.maxRetries : -1}</MaxRetries>` +
+    "</TimeWindowStruct>").join("");
+  return `<cwmp:ScheduleDownload><CommandKey>${commandKey}</CommandKey>` +
+    "<FileType>2 Web Content</FileType>" +
+    `<URL>${url}</URL><Username></Username><Password></Password><FileSize>0</FileSize>` +
+    `<TargetFileName></TargetFileName><TimeWindowList>${windows}</TimeWindowList></cwmp:ScheduleDownload>`;
+}
+
+describe("ScheduleDownload", () => {
+  let fileServer;
+  let fileUrl;
+  let requests;
+  let acs;
+  let device;
+
+  before((t, done) => {
+    // Serves /file, anything else is missing
+    fileServer = http.createServer((req, res) => {
+      requests.push({ url: req.url, time: Date.now() });
+      res.writeHead(req.url === "/file" ? 200 : 404);
+      res.end("contents");
+    });
+    fileServer.listen(0, "127.0.0.1", () => {
+      fileUrl = `http://127.0.0.1:${fileServer.address().port}`;
+      done();
+    });
+  });
+
+  after((t, done) => {
+    fileServer.close(done);
+  });
+
+  beforeEach((t, done) => {
+    requests = [];
+    acs = startAcs(() => done());
+  });
+
+  afterEach((t, done) => {
+    if (!device) return acs.close(done);
+    device.stop(() => acs.close(done));
+    device = null;
+  });
+
+  it("faults on invalid time windows, file types and URLs", () => {
+    const device = dataModel.create(dataModel.freeze(createDeviceModel()));
+    methods.initTransfers(device);
+    const faultCode = xml => getFaultCode(call(methods.ScheduleDownload, device, xml));
+    const url = "http://127.0.0.1/file";
+
+    assert.strictEqual(faultCode(scheduleDownload("k", url, [])), "9003");
+    assert.strictEqual(faultCode(scheduleDownload("k", url, [
+      { start: 0, end: 10 }, { start: 10, end: 20 }, { start: 20, end: 30 }
+    ])), "9003");
+    assert.strictEqual(faultCode(scheduleDownload("k", url, [{ start: 10, end: 10 }])), "9003");
+    assert.strictEqual(faultCode(scheduleDownload("k", url, [{ start: 0, end: 20 }, { start: 10, end: 30 }])), "9003");
+    assert.strictEqual(faultCode(scheduleDownload("k", url, [{ start: 0, end: 10, mode: "5 Never" }])), "9003");
+    assert.strictEqual(faultCode(scheduleDownload("k", url, [{ start: 0, end: 10, maxRetries: -2 }])), "9003");
+    assert.strictEqual(faultCode(scheduleDownload("k", "http://", [{ start: 0, end: 10 }])), "9003");
+    assert.strictEqual(faultCode(scheduleDownload("k", url, [{ start: 0, end: 10 }])
+      .replace("2 Web Content", "6 Nope")), "9003");
+    assert.strictEqual(device._transfers.length, 0);
+  });
+
+  it("downloads once the time window opens", (t, done) => {
+    let scheduled;
+    acs.rpcs.push(scheduleDownload("sd1", `${fileUrl}/file`, [{ start: 1, end: 10 }]));
+    acs.on("message", rpc => {
+      if (rpc.localName === "ScheduleDownloadResponse") scheduled = Date.now();
+    });
+    device = startDevice(acs, {}, err => {
+      assert.ifError(err);
+      device.once("transferComplete", result => {
+        assert.strictEqual(result.commandKey, "sd1");
+        assert.strictEqual(result.faultCode, "0");
+        assert.strictEqual(requests.length, 1);
+        assert.ok(requests[0].time - scheduled >= 900, `downloaded after ${requests[0].time - scheduled} ms`);
+        const inform = acs.received.filter(m => m.localName === "Inform").pop();
+        assert.deepStrictEqual(getEventCodes(inform), ["7 TRANSFER COMPLETE", "M ScheduleDownload"]);
+        done();
+      });
+    });
+  });
+
+  it("retries failed downloads up to MaxRetries", (t, done) => {
+    acs.rpcs.push(scheduleDownload("sd2", `${fileUrl}/missing`, [{ start: 0, end: 10, maxRetries: 2 }]));
+    device = startDevice(acs, {}, err => {
+      assert.ifError(err);
+      device.once("transferComplete", result => {
+        assert.strictEqual(result.commandKey, "sd2");
+        assert.strictEqual(result.faultCode, "9010");
+        assert.strictEqual(requests.length, 3);
+        done();
+      });
+    });
+  });
+
+  it("falls through to the next time window", (t, done) => {
+    acs.rpcs.push(scheduleDownload("sd3", `${fileUrl}/missing`, [
+      { start: 0, end: 1, maxRetries: 0 },
+      { start: 1, end: 10, maxRetries: 0 }
+    ]));
+    device = startDevice(acs, {}, err => {
+      assert.ifError(err);
+      device.once("transferComplete", result => {
+        assert.strictEqual(result.faultCode, "9010");
+        assert.strictEqual(requests.length, 2);
+        assert.ok(requests[1].time - requests[0].time >= 800);
+        done();
+      });
+    });
+  });
+});
+
+describe("queued transfers", () => {
+  function createDevice() {
+    const device = dataModel.create(dataModel.freeze(createDeviceModel()));
+    methods.initTransfers(device);
+    // Completed transfers are reported in a session requested later
+    device._simulator = { setTimer: () => {} };
+    return device;
+  }
+
+  function getTransferList(method, device) {
+    const response = call(method, device, `<cwmp:${method.name}></cwmp:${method.name}>`);
+    return find(response, "TransferList").children.map(s => {
+      let fields = {};
+      for (let c of s.children) fields[c.localName] = c.text;
+      return fields;
+    });
+  }
+
+  function upload(commandKey, url) {
+    return `<cwmp:Upload><CommandKey>${commandKey}</CommandKey><FileType>1 Vendor Configuration File</FileType>` +
+      `<URL>${url}</URL><Username></Username><Password></Password><DelaySeconds>3600</DelaySeconds></cwmp:Upload>`;
+  }
+
+  function download(commandKey, url) {
+    return `<cwmp:Download><CommandKey>${commandKey}</CommandKey><FileType>2 Web Content</FileType>` +
+      `<URL>${url}</URL><Username></Username><Password></Password><FileSize>0</FileSize>` +
+      "<TargetFileName></TargetFileName><DelaySeconds>0</DelaySeconds></cwmp:Download>";
+  }
+
+  function cancel(device, commandKey) {
+    return call(methods.CancelTransfer, device,
+      `<cwmp:CancelTransfer><CommandKey>${commandKey}</CommandKey></cwmp:CancelTransfer>`);
+  }
+
+  it("lists queued downloads and uploads", () => {
+    const device = createDevice();
+    call(methods.ScheduleDownload, device, scheduleDownload("sd", "http://127.0.0.1/file", [{ start: 3600, end: 7200 }]));
+    call(methods.Upload, device, upload("up", "http://127.0.0.1/upload"));
+    // Unsupported scheme, completed right away
+    call(methods.Download, device, download("dw", "ftp://127.0.0.1/file"));
+
+    assert.deepStrictEqual(getTransferList(methods.GetQueuedTransfers, device), [
+      { CommandKey: "sd", State: "1" },
+      { CommandKey: "dw", State: "3" }
+    ]);
+    const transfers = getTransferList(methods.GetAllQueuedTransfers, device);
+    assert.deepStrictEqual(transfers.map(t => [t.CommandKey, t.State, t.IsDownload, t.FileType]), [
+      ["sd", "1", "true", "2 Web Content"],
+      ["up", "1", "false", "1 Vendor Configuration File"],
+      ["dw", "3", "true", "2 Web Content"]
+    ]);
+    methods.clearTransfers(device);
+  });
+
+  it("cancels queued transfers only", () => {
+    const device = createDevice();
+    call(methods.ScheduleDownload, device, scheduleDownload("sd", "http://127.0.0.1/file", [{ start: 3600, end: 7200 }]));
+    call(methods.Upload, device, upload("up", "http://127.0.0.1/upload"));
+    call(methods.Download, device, download("dw", "ftp://127.0.0.1/file"));
+
+    assert.strictEqual(getFaultCode(cancel(device, "nope")), "9003");
+    assert.strictEqual(getFaultCode(cancel(device, "dw")), "9021");
+    assert.strictEqual(cancel(device, "sd").localName, "CancelTransferResponse");
+    assert.strictEqual(cancel(device, "up").localName, "CancelTransferResponse");
+    assert.deepStrictEqual(getTransferList(methods.GetAllQueuedTransfers, device).map(t => t.CommandKey), ["dw"]);
+    methods.clearTransfers(device);
+  });
+});
@@ -0,0 +1,210 @@
+"use strict";
+
+const net = require("net");
+const tls = require("tls");
+const xmlParser = require("./xml-parser");
+const xmlUtils = require("./xml-utils");
+
+const NS_TLS = "urn:ietf:params:xml:ns:xmpp-tls";
+const NS_SASL = "urn:ietf:params:xml:ns:xmpp-sasl";
+const NS_BIND = "urn:ietf:params:xml:ns:xmpp-bind";
+const NS_SESSION = "urn:ietf:params:xml:ns:xmpp-session";
+const NS_STANZAS = "urn:ietf:params:xml:ns:xmpp-stanzas";
+
+const keepAliveMs = 60000;
+
+/**
+ * Get an attribute value of a parsed element
+ * @param {object} element - Element from xml-parser
+ * @param {string} name - Attribute name
+ * @returns {string} Decoded value, empty if missing
+ */
+function getAttr(element, name) {
+  const attr = xmlParser.parseAttrs(element.attrs).find(a => a.name === name);
+  return attr ? xmlParser.decodeEntities(attr.value) : "";
+}
+
+/**
+ * Split the incoming stream into top level stanzas
+ * @param {function} onStanza - Called with each stanza as a string
+ * @param {function} onStreamEnd - Called when the server closes the stream
+ * @returns {function} Feed function taking the received data
+ */
+function createStanzaReader(onStanza, onStreamEnd) {
+  let buffer = "";
+  let scanned = 0;
+  let depth = 0;
+  let stanzaStart = 0;
+
+  return function (data) {
+    buffer += data;
+    for (;;) {
+      const lt = buffer.indexOf("<", scanned);
+      if (lt === -1) break;
+      const gt = buffer.indexOf(">", lt);
+      if (gt === -1) break;
+      const tag = buffer.slice(lt, gt + 1);
+      scanned = gt + 1;
+
+      if (tag.startsWith("<?") || tag.startsWith("<!")) continue;
+
+      if (tag.startsWith("</")) {
+        if (--depth === 0) return onStreamEnd();
+        if (depth === 1) onStanza(buffer.slice(stanzaStart, scanned));
+      } else if (tag.endsWith("/>")) {
+        if (depth === 1) onStanza(tag);
+      } else if (depth++ === 1) {
+        stanzaStart = lt;
+      }
+    }
+
+    // Keep only the stanza being received
+    const keep = depth > 1 ? stanzaStart : scanned;
+    buffer = buffer.slice(keep);
+    scanned -= keep;
+    stanzaStart = 0;
+  };
+}
+
+function createError(type, condition) {
+  return xmlUtils.node("error", { type: type },
+    xmlUtils.node(condition, { xmlns: NS_STANZAS }));
+}
+
+/**
+ * Connect and log into an XMPP server with SASL PLAIN, using STARTTLS when
+ * required or asked for
+ * @param {object} options - host, port, domain, username, password, resource,
+ * useTls and tlsOptions, extra options of tls.connect() such as ca and
+ * rejectUnauthorized
+ * @param {function} onStanza - Called with each stanza once logged in
+ * @param {function} callback - Called with an error, or null and the bound JID
+ * once logged in. Called again with an error when the connection drops.
+ * @returns {object} Client with send(xml) and close()
+ */
+function connect(options, onStanza, callback) {
+  let socket = net.createConnection({ host: options.host, port: options.port });
+  let step = "features";
+  let closed = false;
+  let keepAliveTimer = null;
+  let read;
+
+  const client = {
+    send: function (xml) {
+      if (!closed) socket.write(xml);
+    },
+    close: function () {
+      if (closed) return;
+      closed = true;
+      clearInterval(keepAliveTimer);
+      socket.end("</stream:stream>");
+    }
+  };
+
+  function fail(err) {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepAliveTimer);
+    socket.destroy();
+    callback(err);
+  }
+
+  function openStream() {
+    read = createStanzaReader(handleStanza, () => fail(new Error("Stream closed by server")));
+    socket.write(`<?xml version='1.0'?><stream:stream to='${xmlParser.encodeEntities(options.domain)}' ` +
+      "xmlns='jabber:client' xmlns:stream='http://etherx.jabber.org/streams' version='1.0'>");
+  }
+
+  function listen(s) {
+    s.setEncoding("utf8");
+    s.on("data", data => {
+      try {
+        read(data);
+      } catch (err) {
+        fail(err);
+      }
+    });
+  }
+
+  function handleStanza(xml) {
+    const stanza = xmlParser.parseXml(xml).children[0];
+    const child = stanza.children[0];
+
+    if (stanza.localName === "error")
+      return fail(new Error(`Stream error: ${child ? child.localName : "unknown"}`));
+
+    switch (step) {
+      case "features": {
+        const features = stanza.children.map(c => c.localName);
+        if (features.includes("starttls") && !(socket instanceof tls.TLSSocket) &&
+          (options.useTls || stanza.children.find(c => c.localName === "starttls").children.length)) {
+          step = "tls";
+          return socket.write(xmlUtils.node("starttls", { xmlns: NS_TLS }));
+        }
+        if (features.includes("mechanisms")) {
+          step = "auth";
+          const credentials = Buffer.from(`\0${options.username}\0${options.password}`).toString("base64");
+          return socket.write(xmlUtils.node("auth", { xmlns: NS_SASL, mechanism: "PLAIN" }, credentials));
+        }
+        if (features.includes("bind")) {
+          step = features.includes("session") ? "bind+session" : "bind";
+          return socket.write(xmlUtils.node("iq", { type: "set", id: "bind_1" },
+            xmlUtils.node("bind", { xmlns: NS_BIND },
+              xmlUtils.node("resource", {}, xmlParser.encodeEntities(options.resource)))));
+        }
+        return fail(new Error("No supported stream features"));
+      }
+
+      case "tls":
+        if (stanza.localName !== "proceed") return fail(new Error("STARTTLS refused"));
+        socket.removeAllListeners("data");
+        socket = tls.connect(Object.assign({}, options.tlsOptions, { socket: socket, servername: options.domain }), () => {
+          step = "features";
+          openStream();
+        });
+        socket.on("error", fail);
+        socket.on("close", () => fail(new Error("Connection closed")));
+        return listen(socket);
+
+      case "auth":
+        if (stanza.localName !== "success")
+          return fail(new Error(`Authentication failed: ${child ? child.localName : "unknown"}`));
+        step = "features";
+        return openStream();
+
+      case "bind":
+      case "bind+session": {
+        if (getAttr(stanza, "type") !== "result") return fail(new Error("Resource binding failed"));
+        const jidElement = child && child.children.find(c => c.localName === "jid");
+        client.jid = jidElement ? xmlParser.decodeEntities(jidElement.text) :
+          `${options.username}@${options.domain}/${options.resource}`;
+        if (step === "bind+session") {
+          step = "session";
+          return socket.write(xmlUtils.node("iq", { type: "set", id: "session_1" },
+            xmlUtils.node("session", { xmlns: NS_SESSION })));
+        }
+      }
+      // falls through
+
+      case "session":
+        step = "online";
+        socket.write(xmlUtils.node("presence"));
+        keepAliveTimer = setInterval(() => socket.write(" "), keepAliveMs);
+        return callback(null, client.jid);
+
+      case "online":
+        return onStanza(stanza);
+    }
+  }
+
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("Connection closed")));
+  socket.on("connect", openStream);
+  listen(socket);
+
+  return client;
+}
+
+exports.getAttr = getAttr;
+exports.createError = createError;
+exports.connect = connect;